@@ -1,11 +1,13 @@
 // WebGPU Detection Logic
 // Checks if the browser supports WebGPU and if an adapter is available.
+// Without WebGPU the app still runs, with models on the CPU (WASM).
 async function checkWebGPU() {
     const statusEl = document.getElementById('browser-status');
+    const cpuNote = ' Models will run on the CPU (WASM), which is slower.';
 
     // Check if navigator.gpu exists (browser support)
     if (!navigator.gpu) {
-        statusEl.innerHTML = '❌ WebGPU not supported in this browser.';
+        statusEl.innerHTML = '⚠️ WebGPU not supported in this browser.' + cpuNote;
         return false;
     }
 
@@ -13,7 +15,7 @@ async function checkWebGPU() {
         // Request a GPU adapter
         const adapter = await navigator.gpu.requestAdapter();
         if (!adapter) {
-            statusEl.innerHTML = '❌ No WebGPU adapter found.';
+            statusEl.innerHTML = '⚠️ No WebGPU adapter found.' + cpuNote;
             return false;
         }
 
@@ -24,465 +26,240 @@ async function checkWebGPU() {
         statusEl.innerHTML = '✅ WebGPU is supported and ready.';
         return true;
     } catch (e) {
-        statusEl.innerHTML = `❌ WebGPU error: ${e.message}`;
+        statusEl.innerHTML = `⚠️ WebGPU error: ${e.message}.` + cpuNote;
         return false;
     }
 }
 
-// Worker Code as String (to bypass file:// security restrictions)
-// This function returns the entire worker script as a string.
-// We do this to create a Blob worker, which avoids "SecurityError" when running from file://
-// MODEL_REGISTRY is now provided by `public/models.js` and injected on global scope.
-
-const getWorkerCode = (baseUrl) => `
-// Define base URL for the library to resolve relative paths correctly
-// This is critical for file:// protocol support where relative paths fail in Blob workers
-self.transformersBaseUrl = '${baseUrl}';
-
-// Inlined transformers library
-// This variable is injected by the build script and contains the bundled library
-${TRANSFORMERS_LIB}
-
-// Destructure from the global 'transformers' object provided by the library
-const {
-  AutoTokenizer,
-  AutoModelForCausalLM,
-  TextStreamer,
-  InterruptableStoppingCriteria,
-} = self.transformers;
-
-// Configure WASM paths to use CDN since we are in a blob worker
-// Blob workers have an opaque origin, so relative paths to WASM files fail.
-// We explicitly point to the CDN versions of the ONNX Runtime WASM files.
-if (self.transformers.env && self.transformers.env.wasm) {
-    self.transformers.env.wasm.wasmPaths = {
-        'ort-wasm-simd-threaded.wasm': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.0/dist/ort-wasm-simd-threaded.wasm',
-        'ort-wasm-simd.wasm': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.0/dist/ort-wasm-simd.wasm',
-        'ort-wasm-threaded.wasm': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.0/dist/ort-wasm-threaded.wasm',
-        'ort-wasm.wasm': 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.0/dist/ort-wasm.wasm',
-    };
-}
-
-console.log('Imported dependencies via importScripts');
-
-// Check for WebGPU support within the worker context
-async function check() {
-  console.log('Running WebGPU check');
-  try {
-    const adapter = await navigator.gpu.requestAdapter();
-    console.log('Got adapter:', adapter);
-    if (!adapter) {
-      throw new Error("WebGPU is not supported (no adapter found)");
-    }
-  } catch (e) {
-    console.error('WebGPU check failed:', e);
-    self.postMessage({
-      status: "error", 
-      data: e.toString(),
-    });
+// Conversation Model
+// Source of truth for the chat: a tree of messages of the form
+// { id, role, content, thought, metadata }. Editing or regenerating a turn adds
+// a sibling branch instead of overwriting it; each node remembers which child
+// is selected, and the selected path from the root is what gets rendered and
+// sent to the worker. The renderer subscribes to change events ('add',
+// 'update', 'reset') and worker requests are built from the model, never from
+// the DOM.
+function createConversationModel() {
+  // id -> { message, parentId, childIds, selectedChildId }; null parentId is the root
+  let nodes = new Map();
+  let rootIds = [];
+  let selectedRootId = null;
+  let nextId = 1;
+  const listeners = new Set();
+
+  function emit(event) {
+    listeners.forEach((listener) => listener(event));
   }
-}
-
-// Singleton class to manage the model pipeline
-class TextGenerationPipeline {
-  static model_id = "onnx-community/Qwen3-0.6B-ONNX";
-
-  // Lazy-load the tokenizer and model instance
-  static async getInstance(progress_callback = null) {
-    console.log('Getting pipeline instance');
-    try {
-      // Load tokenizer if not already loaded
-      this.tokenizer ??= await AutoTokenizer.from_pretrained(this.model_id, {
-        progress_callback,
-      });
-      console.log('Tokenizer loaded successfully');
-      
-      // Load model if not already loaded
-      // Choose device/dtype dynamically: prefer an explicit '_preferred_device' if set,
-      // otherwise use WebGPU. Dtype is selected from '_preferred_dtype' or model heuristics.
-      const preferredDevice = this._preferred_device ?? 'webgpu';
-      const preferredDtype = this._preferred_dtype || (this._model_registry && this._model_registry[this.model_id] && this._model_registry[this.model_id].dtype) || (/gemma/i.test(this.model_id) ? 'fp32' : (/nanochat/i.test(this.model_id) ? 'q4' : 'q4f16'));
-      this.model ??= await AutoModelForCausalLM.from_pretrained(this.model_id, {
-        dtype: preferredDtype,
-        device: preferredDevice,
-        progress_callback,
-      });
-      console.log('Model loaded successfully');
-
-      return [this.tokenizer, this.model];
-    } catch (error) {
-      console.error('Failed to load model:', error);
-      let errorMessage = error?.message || error?.toString() || ('Unknown error (' + typeof error + '): ' + JSON.stringify(error));
-      
-      // Handle specific ONNX/WebGPU errors with user-friendly messages
-      if (errorMessage.includes('3944596720') || errorMessage.includes('WebGPU')) {
-        errorMessage = 'WebGPU device creation failed. Try refreshing the page or check your GPU drivers.';
-      } else if (errorMessage.includes('onnxruntime') || errorMessage.includes('session')) {
-        errorMessage = 'Model initialization failed. The model may be corrupted or incompatible.';
-      } else if (errorMessage.includes('memory') || errorMessage.includes('OOM')) {
-        errorMessage = 'Insufficient GPU memory. Try closing other tabs or use a device with more VRAM.';
-      }
-
-      // Attempt a CPU fallback for WebGPU/device-related failures (try once)
-      try {
-        if (!this._cpuFallbackTried && (errorMessage.includes('WebGPU') || errorMessage.includes('device') || errorMessage.includes('adapter') || errorMessage.includes('3944596720'))) {
-          this._cpuFallbackTried = true;
-          self.postMessage({ status: 'loading', data: 'WebGPU failed; falling back to CPU for ' + this.model_id + '...' });
-          // Try loading model on CPU (safer but slower)
-          this.model ??= await AutoModelForCausalLM.from_pretrained(this.model_id, {
-            dtype: "fp32", //"float32",
-            device: "wasm", // "cpu"
-            progress_callback,
-          });
-          console.log('Model loaded successfully on CPU');
-          return [this.tokenizer, this.model];
-        }
-      } catch (cpuError) {
-        console.error('CPU fallback failed:', cpuError);
-        // append CPU fallback error to original message for debugging
-        errorMessage += ' | CPU fallback failed: ' + (cpuError?.message || cpuError?.toString());
-      }
 
-      self.postMessage({
-        status: "error",
-           data: 'Model loading failed: ' + errorMessage
-      });
-      throw error;
-    }
+  function emitReset() {
+    emit({ type: 'reset', messages: getMessages() });
   }
-}
 
-// Stopping criteria allows us to interrupt generation
-const stopping_criteria = new InterruptableStoppingCriteria();
-// Cache for past key values to speed up multi-turn generation
-let past_key_values_cache = null;
-
-// Main generation function
-async function generate(messages) {
-  console.log('Starting generation with messages:', messages);
-  const [tokenizer, model] = await TextGenerationPipeline.getInstance();
-  console.log('Got tokenizer and model instances');
-
-  // Apply chat template to format messages for the model
-  const inputs = tokenizer.apply_chat_template(messages, {
-    add_generation_prompt: true,
-    return_dict: true,
-  });
-  console.log('Applied chat template:', inputs);
-
-  let state = "thinking";
-  let startTime;
-  let numTokens = 0;
-  let tps;
-  let rawBuffer = "";
-
-  // Regex for special tokens of the form <|...|> (ASCII) and fullwidth variants like <｜...｜>.
-  // Also detect end-of-turn / end-of-sentence tokens including fullwidth and U+2581 underscores.
-  const SPECIAL_TOKEN_RE = /<\\|[^|]*\\|>|<｜[^｜]*｜>/g;
-  const END_OF_TURN_RE = /<end_of_turn>|<｜end(?:_|▁)of(?:_|▁)sentence｜>/g;
-
-  function logAndStripTokens(str, ctx) {
-    if (!str) return str;
-    const matches = str.match(SPECIAL_TOKEN_RE);
-    if (matches && matches.length) {
-      matches.forEach(m => console.log('Special token (' + ctx + '):', m));
-    }
-    const endMatches = str.match(END_OF_TURN_RE);
-    if (endMatches && endMatches.length) {
-      endMatches.forEach(m => console.log('End-of-turn token (' + ctx + '):', m));
-    }
-    return str.replace(SPECIAL_TOKEN_RE, '').replace(END_OF_TURN_RE, '');
+  function createNode(role, content, thought, metadata, parentId) {
+    const message = { id: `m${nextId++}`, role, content: content || '', thought: thought || '', metadata: { ...(metadata || {}) } };
+    const node = { message, parentId, childIds: [], selectedChildId: null };
+    nodes.set(message.id, node);
+    const siblings = parentId ? nodes.get(parentId).childIds : rootIds;
+    siblings.push(message.id);
+    select(message.id);
+    return message;
   }
 
-  // Callback for tracking tokens per second (TPS)
-  const token_callback_function = (tokens) => {
-    // tokens may be BigInt values or numeric ids; normalize for decoding
-    //console.log('Token callback:', tokens);
-    startTime ??= performance.now();
-    // Try to decode the token(s) for debugging so we can see what is being emitted
-    try {
-      const tokenIds = Array.isArray(tokens) ? tokens.map(t => (typeof t === 'bigint' ? Number(t) : t)) : [tokens];
-      let decoded = null;
-      if (tokenizer && typeof tokenizer.decode === 'function') {
-        decoded = tokenizer.decode(tokenIds, { skip_special_tokens: false });
-      } else if (tokenizer && typeof tokenizer.batch_decode === 'function') {
-        decoded = tokenizer.batch_decode([tokenIds], { skip_special_tokens: false })[0];
-      }
-      if (decoded !== null) {
-        console.log('Decoded token text:', decoded);
-        // Remove special tokens and end-of-turn tokens from token-level debug before sending to UI,
-        // but log any occurrences to the console.
-        const tokenDebugMatches = (decoded || '').match(SPECIAL_TOKEN_RE);
-        if (tokenDebugMatches) tokenDebugMatches.forEach(m => console.log('Special token (token_debug):', m));
-        const tokenDebugEndMatches = (decoded || '').match(END_OF_TURN_RE);
-        if (tokenDebugEndMatches) tokenDebugEndMatches.forEach(m => console.log('End-of-turn (token_debug):', m));
-        const tokenDebugSafe = (decoded || '').replace(SPECIAL_TOKEN_RE, '').replace(END_OF_TURN_RE, '');
-        // Send lightweight token-level debug to main thread so UI can show it if needed
-        self.postMessage({ status: 'token_debug', tokens: tokenIds, text: tokenDebugSafe });
-      }
-    } catch (e) {
-      console.warn('Token decode failed:', e);
-    }
-
-    if (numTokens++ > 0 && numTokens % 5 === 0) {
-      tps = (numTokens / (performance.now() - startTime)) * 1000;
-      console.log('Current TPS:', tps);
-    }
-  };
-
-  // Callback for handling generated text output
-  const callback_function = (output) => {
-    //console.log('Output callback:', output);
-    rawBuffer += output;
-
-    // Logic to separate "thinking" content (<think>...</think>) from the final answer
-    let thought = '';
-    let answer = rawBuffer;
-    const start = rawBuffer.indexOf('<think>');
-    const end = rawBuffer.indexOf('</think>');
-
-    if (start !== -1) {
-      if (end !== -1 && end > start) {
-        // Thought process is complete
-        thought = rawBuffer.slice(start + 7, end).trim();
-        answer = rawBuffer.slice(end + 8);
-        state = "answering";
-      } else {
-        // Still thinking
-        thought = rawBuffer.slice(start + 7);
-        answer = rawBuffer.slice(0, start);
-        state = "thinking";
-      }
-    } else {
-      state = "answering";
-    }
-
-    // Strip special tokens before sending to the UI, but keep a log for debugging
-    thought = logAndStripTokens(thought, 'thought');
-    answer = logAndStripTokens(answer, 'answer');
-
-    // Send update to main thread
-    self.postMessage({
-      status: "update",
-      output: answer,
-      thought,
-      tps,
-      numTokens,
-      state,
-    });
-  };
-
-  // Streamer handles decoding tokens into text incrementally
-  // Disable skipping special tokens for debugging NanoChat output; we post token-level
-  // debug messages to help identify if the model emits only special tokens.
-  const streamer = new TextStreamer(tokenizer, {
-    skip_prompt: true,
-    skip_special_tokens: false,
-    callback_function,
-    token_callback_function,
-  });
-  console.log('Created streamer');
-
-  self.postMessage({ status: "start" });
-
-  // Run generation
-  const { past_key_values, sequences } = await model.generate({
-    ...inputs,
-    do_sample: false, // Greedy decoding for deterministic results
-    max_new_tokens: 2048,
-    streamer,
-    stopping_criteria,
-    return_dict_in_generate: true,
-  });
-  console.log('Generation complete:', sequences);
-
-  // Cache KV pairs for next turn
-  past_key_values_cache = past_key_values;
-
-  let decoded = tokenizer.batch_decode(sequences, { skip_special_tokens: true });
-  // decoded may be an array of strings; log and strip any special tokens
-  if (Array.isArray(decoded)) {
-    decoded = decoded.map(d => {
-      const matches = (d || '').match(SPECIAL_TOKEN_RE);
-      if (matches) matches.forEach(m => console.log('Special token (final):', m));
-      return (d || '').replace(SPECIAL_TOKEN_RE, '');
-    });
-  } else if (typeof decoded === 'string') {
-    const matches = decoded.match(SPECIAL_TOKEN_RE);
-    if (matches) matches.forEach(m => console.log('Special token (final):', m));
-    decoded = decoded.replace(SPECIAL_TOKEN_RE, '');
+  function siblingIds(id) {
+    const node = nodes.get(id);
+    return node.parentId ? nodes.get(node.parentId).childIds : rootIds;
   }
-  console.log('Decoded output:', decoded);
-  self.postMessage({ status: "complete", output: decoded });
-}
 
-// Handles progress events during model downloading
-function handleProgress(event) {
-  console.log('Progress event:', event);
-  if (!event.total) return;
-
-  const friendlyName = TextGenerationPipeline?.model_id || "onnx-community/Qwen3-0.6B-ONNX";
-  const fileLabel = event.url || friendlyName;
-
-  if (event.loaded === 0) {
-    // Download started
-    console.log('Starting file load:', event.url);
-    self.postMessage({
-      status: "initiate",
-      file: fileLabel,
-      progress: 0,
-      total: event.total,
-    });
-  } else if (event.loaded < event.total) {
-    // Download in progress
-    const percent = Math.round((event.loaded / event.total) * 100);
-       console.log('Loading progress: ' + percent + '%');
-    self.postMessage({
-      status: "progress", 
-      file: fileLabel,
-      progress: percent,
-      total: 100,
-    });
-  } else {
-    // Download complete
-    console.log('File load complete:', event.url);
-    self.postMessage({
-      status: "done",
-      file: fileLabel,
-    });
+  // Make `id` the selected child of its parent
+  function select(id) {
+    const node = nodes.get(id);
+    if (node.parentId) nodes.get(node.parentId).selectedChildId = id;
+    else selectedRootId = id;
   }
-}
 
-// Initial load function triggered by the main thread
-async function load() {
-  console.log('Starting model load');
-  self.postMessage({ status: "loading", data: "Checking WebGPU support..." });
-
-  try {
-    // First check for WebGPU support
-    console.log('Running WebGPU check');
-    const adapter = await navigator.gpu.requestAdapter();
-    console.log('Got adapter:', adapter);
-    if (!adapter) {
-      throw new Error("WebGPU is not supported (no adapter found)");
-    }
-    
-    // If we get here, WebGPU is supported, so proceed with loading the model
-    const modelId = TextGenerationPipeline?.model_id || "onnx-community/Qwen3-0.6B-ONNX";
-       self.postMessage({ status: "loading", data: 'Loading ' + modelId + '...' });
-
-    const [tokenizer, model] = await TextGenerationPipeline.getInstance(handleProgress);
-    console.log('Model loaded successfully');
-    
-    // Perform a dry run to compile shaders and warm up the model
-    self.postMessage({ status: "loading", data: "Compiling shaders and warming up model..." });
-    const inputs = tokenizer("a");
-    console.log('Warmup inputs:', inputs);
-    await model.generate({ ...inputs, max_new_tokens: 1 });
-    console.log('Warmup complete');
-    self.postMessage({ status: "ready", model: modelId });
-  } catch (error) {
-    console.error('Model load failed:', error);
-      const errorMessage = error?.message || error?.toString() || ('Unknown error (' + typeof error + '): ' + JSON.stringify(error));
-    self.postMessage({
-      status: "error",
-         data: 'Model load failed: ' + errorMessage
-    });
+  function get(id) {
+    const node = nodes.get(id);
+    return node ? node.message : null;
   }
-}
 
-async function unloadModel() {
-  console.log('Unloading model resources');
-  try {
-    if (TextGenerationPipeline?.model && typeof TextGenerationPipeline.model.dispose === 'function') {
-      TextGenerationPipeline.model.dispose();
+  // Messages along the selected path, root first
+  function getMessages() {
+    const path = [];
+    let id = selectedRootId;
+    while (id) {
+      const node = nodes.get(id);
+      path.push(node.message);
+      id = node.selectedChildId;
     }
-  } catch (disposeError) {
-    console.warn('Model dispose failed:', disposeError);
+    return path;
   }
-  TextGenerationPipeline.model = null;
-  TextGenerationPipeline.tokenizer = null;
-  TextGenerationPipeline._cpuFallbackTried = false;
-  past_key_values_cache = null;
-  stopping_criteria.reset();
-}
 
-// Worker message listener
-self.addEventListener("message", async (e) => {
-  const { type, data } = e.data;
-  console.log('Received message:', type, data);
-
-  switch (type) {
-    case "check":
-      check();
-      break;
-    case "model_registry":
-      // Receive centralized registry from main thread
-      TextGenerationPipeline._model_registry = data;
-      self.postMessage({ status: 'registry_received' });
-      break;
-    case "set_model":
-      // Change the model id used by the pipeline and clear any cached instances.
-      // Support either a plain string (modelId) or an object { model_id, dtype }.
-      console.log('Setting model id to', data);
-      if (typeof data === 'string') {
-        TextGenerationPipeline.model_id = data;
-        TextGenerationPipeline._preferred_dtype = null;
-      } else if (data && typeof data === 'object') {
-        TextGenerationPipeline.model_id = data.model_id || TextGenerationPipeline.model_id;
-        TextGenerationPipeline._preferred_dtype = data.dtype || null;
-      }
-      TextGenerationPipeline.tokenizer = null;
-      TextGenerationPipeline.model = null;
-      self.postMessage({ status: 'model_changed', data });
-      break;
-    
-    case "load":
-      load();
-      break;
-    case "generate":
-      stopping_criteria.reset();
-      generate(data);
-      break;
-    case "interrupt":
-      console.log('Interrupting generation');
-      stopping_criteria.interrupt();
-      break;
-    case "reset":
-      console.log('Resetting state');
-      past_key_values_cache = null;
-      stopping_criteria.reset();
-      break;
-    case "unload":
-      console.log('Received unload request');
-      stopping_criteria.interrupt();
-      self.postMessage({ status: "unloading" });
-      await unloadModel();
-      self.postMessage({ status: "unloaded" });
-      break;
+  function tipId() {
+    const path = getMessages();
+    return path.length ? path[path.length - 1].id : null;
   }
-});
-`;
+
+  return {
+    // Returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    get,
+
+    getMessages,
+
+    // Append a message at the end of the selected path
+    add(role, content = '', { thought = '', metadata = {} } = {}) {
+      const message = createNode(role, content, thought, metadata, tipId());
+      emit({ type: 'add', message });
+      return message;
+    },
+
+    // Add a new alternative next to `id` (same parent) and select it
+    addSibling(id, role, content = '', { thought = '', metadata = {} } = {}) {
+      const node = nodes.get(id);
+      if (!node) return null;
+      const message = createNode(role, content, thought, metadata, node.parentId);
+      emitReset();
+      return message;
+    },
+
+    // Shallow-merges `patch`; `patch.metadata` is merged into the existing metadata
+    update(id, patch) {
+      const message = get(id);
+      if (!message) return null;
+      const { metadata, ...fields } = patch;
+      Object.assign(message, fields);
+      if (metadata) message.metadata = { ...message.metadata, ...metadata };
+      emit({ type: 'update', message });
+      return message;
+    },
+
+    // Remove a message together with everything that follows it on every
+    // branch; the neighbouring sibling branch, if any, becomes selected
+    remove(id) {
+      const node = nodes.get(id);
+      if (!node) return null;
+      const siblings = siblingIds(id);
+      const index = siblings.indexOf(id);
+      siblings.splice(index, 1);
+      const pending = [id];
+      while (pending.length) {
+        const removed = nodes.get(pending.pop());
+        nodes.delete(removed.message.id);
+        pending.push(...removed.childIds);
+      }
+      const replacement = siblings[Math.max(0, index - 1)] || null;
+      if (replacement) select(replacement);
+      else if (node.parentId) nodes.get(node.parentId).selectedChildId = null;
+      else selectedRootId = null;
+      emitReset();
+      return node.message;
+    },
+
+    // Branch position of a message among its siblings: { index, count } (1-based index)
+    getBranchInfo(id) {
+      if (!nodes.has(id)) return { index: 0, count: 0 };
+      const siblings = siblingIds(id);
+      return { index: siblings.indexOf(id) + 1, count: siblings.length };
+    },
+
+    // Switch to the previous (-1) or next (+1) sibling branch of `id`
+    selectSibling(id, delta) {
+      if (!nodes.has(id)) return null;
+      const siblings = siblingIds(id);
+      const target = siblings[siblings.indexOf(id) + delta];
+      if (!target) return null;
+      select(target);
+      emitReset();
+      return get(target);
+    },
+
+    // Replace the whole conversation, e.g. when opening a stored one. Accepts
+    // a serialized tree or, for older records, a flat list of messages (with
+    // `metadata` or a top-level `modelId`).
+    reset(stored = []) {
+      nodes = new Map();
+      rootIds = [];
+      selectedRootId = null;
+      if (stored && !Array.isArray(stored) && Array.isArray(stored.nodes)) {
+        const idMap = new Map();
+        stored.nodes.forEach((n) => {
+          const message = createNode(n.role, n.content, n.thought, n.metadata, n.parentId ? idMap.get(n.parentId) : null);
+          idMap.set(n.id, message.id);
+        });
+        // Restore the selected branch at every level
+        stored.nodes.forEach((n) => {
+          if (n.selected && idMap.has(n.id)) select(idMap.get(n.id));
+        });
+      } else {
+        let parentId = null;
+        (stored || []).forEach((m) => {
+          parentId = createNode(m.role, m.content, m.thought, m.metadata || (m.modelId ? { modelId: m.modelId } : {}), parentId).id;
+        });
+      }
+      emitReset();
+    },
+
+    // Chat-template messages for the worker along the selected path, optionally
+    // led by a system prompt and cut off before the message `before`
+    toChatMessages(systemPrompt, { before = null } = {}) {
+      let path = getMessages();
+      if (before) {
+        const index = path.findIndex((m) => m.id === before);
+        if (index !== -1) path = path.slice(0, index);
+      }
+      const history = path.filter((m) => m.role === 'user' || m.role === 'assistant').map((m) => ({ role: m.role, content: m.content }));
+      if (systemPrompt) history.unshift({ role: 'system', content: systemPrompt });
+      return history;
+    },
+
+    // Plain objects for the selected path
+    serialize() {
+      return getMessages().map(({ role, content, thought, metadata }) => ({ role, content, thought, metadata: { ...metadata } }));
+    },
+
+    // Plain objects for every branch; parents always precede their children
+    serializeTree() {
+      const out = [];
+      const visit = (ids) => {
+        ids.forEach((id) => {
+          const node = nodes.get(id);
+          const { role, content, thought, metadata } = node.message;
+          const selected = node.parentId ? nodes.get(node.parentId).selectedChildId === id : selectedRootId === id;
+          out.push({ id, parentId: node.parentId, role, content, thought, metadata: { ...metadata }, selected });
+          visit(node.childIds);
+        });
+      };
+      visit(rootIds);
+      return { nodes: out };
+    },
+  };
+}
 
 // Application Logic
 async function initApp() {
-    // Early check for WebGPU support
-    const isSupported = await checkWebGPU();
-    if (!isSupported) return;
-
-    // Calculate absolute path to transformers.min.js for file:// protocol support
-    // We need to pass this to the worker so it can resolve the library correctly
+    // Early check for WebGPU support; without it only the WASM device is offered
+    const webgpuAvailable = await checkWebGPU();
+
+    // Models added through the "Add Model" dialog join the built-in registry,
+    // then every entry is checked against the schema; invalid ones are dropped
+    if (window.CustomModels) CustomModels.mergeInto(MODEL_REGISTRY);
+    const registryErrors = validateModelRegistry(MODEL_REGISTRY);
+    if (registryErrors.length) console.error('Invalid model registry entries were skipped:\n' + registryErrors.join('\n'));
+
+    // The worker, its protocol and the requests live in public/llm_client.js;
+    // this UI is one consumer of that client. It starts the Blob worker (which
+    // works from file://) and sends it the registry.
     const basePath = window.location.href.substring(0, window.location.href.lastIndexOf('/') + 1);
-    const transformersUrl = basePath + 'public/transformers.iife.js'; // Use the IIFE path as base
-
-    // Create Worker from Blob to support file:// protocol
-    // This bypasses the browser restriction on loading workers from local files
-    const workerCode = getWorkerCode(transformersUrl);
-    const blob = new Blob([workerCode], { type: 'application/javascript' });
-    const workerUrl = URL.createObjectURL(blob);
-    const worker = new Worker(workerUrl);
-    // Send centralized model registry to the worker so it can use friendly names and dtypes.
-    worker.postMessage({ type: 'model_registry', data: MODEL_REGISTRY });
+    const client = createLLMClient({ registry: MODEL_REGISTRY, baseUrl: basePath });
+    client.ready.catch((error) => {
+        console.error('Model worker handshake failed:', error);
+        const statusEl = document.getElementById('browser-status');
+        if (statusEl) statusEl.textContent = '⚠️ ' + error.message;
+    });
 
     // UI Elements
     const modelStatus = document.getElementById('model-status');
@@ -495,14 +272,38 @@ async function initApp() {
     const sendBtn = document.getElementById('send-btn');
     const stopBtn = document.getElementById('stop-btn');
     const resetBtn = document.getElementById('reset-btn');
+    const exportJsonBtn = document.getElementById('export-json-btn');
+    const exportMdBtn = document.getElementById('export-md-btn');
+    const importJsonBtn = document.getElementById('import-json-btn');
+    const importJsonInput = document.getElementById('import-json-input');
     const tpsStatus = document.getElementById('tps-status');
     const tpsValue = document.getElementById('tps-value');
     const loadedFilesList = document.getElementById('loaded-files');
+    const downloadState = document.getElementById('download-state');
+    const loadAttemptsList = document.getElementById('load-attempts');
     const loadModelBtn = document.getElementById('load-model-btn');
     const unloadModelBtn = document.getElementById('unload-model-btn');
     const loadModal = document.getElementById('load-modal');
+    const loadModalDetails = document.getElementById('load-modal-details');
     const confirmLoadBtn = document.getElementById('confirm-load-btn');
     const cancelLoadBtn = document.getElementById('cancel-load-btn');
+    const loadDiskBtn = document.getElementById('load-disk-btn');
+    const loadDiskInput = document.getElementById('load-disk-input');
+    const localModelError = document.getElementById('local-model-error');
+    const addModelBtn = document.getElementById('add-model-btn');
+    const addModelModal = document.getElementById('add-model-modal');
+    const addModelForm = document.getElementById('add-model-form');
+    const addModelRepo = document.getElementById('add-model-repo');
+    const addModelProbeBtn = document.getElementById('add-model-probe-btn');
+    const addModelStatus = document.getElementById('add-model-status');
+    const addModelDetails = document.getElementById('add-model-details');
+    const addModelName = document.getElementById('add-model-name');
+    const addModelDtype = document.getElementById('add-model-dtype');
+    const addModelThinking = document.getElementById('add-model-thinking');
+    const addModelSaveBtn = document.getElementById('add-model-save-btn');
+    const addModelCancelBtn = document.getElementById('add-model-cancel-btn');
+    const customModelsSection = document.getElementById('custom-models');
+    const customModelList = document.getElementById('custom-model-list');
 
     // Thought Panel Elements
     const thoughtPanel = document.getElementById('thought-panel');
@@ -510,37 +311,212 @@ async function initApp() {
     const toggleThoughtBtn = document.getElementById('toggle-thought-btn');
     const closeThoughtBtn = document.getElementById('close-thought-btn');
 
-    // Helper: which models support exposing internal "thoughts".
-    // Which models support exposing internal "thoughts". Prefer registry flag.
+    // Generation Settings Elements
+    const generationSettings = document.getElementById('generation-settings');
+    const generationInputs = generationSettings ? Array.from(generationSettings.querySelectorAll('[data-param]')) : [];
+    const generationError = document.getElementById('generation-settings-error');
+    const resetGenerationBtn = document.getElementById('reset-generation-btn');
+    const systemPromptInput = document.getElementById('system-prompt-input');
+
+    // Conversation History Elements
+    const conversationList = document.getElementById('conversation-list');
+    const newChatBtn = document.getElementById('new-chat-btn');
+    const historyStatus = document.getElementById('history-status');
+
+    // Which models support exposing internal "thoughts" (registry `thinking` flag)
     function isThinkingModel(modelId) {
-      return (MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].thinking) || /qwen/i.test(modelId);
+      return Boolean(MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].thinking);
     }
 
     let isGenerating = false;
-    let currentAssistantMessageDiv = null;
+    // Conversation model and the id of the assistant message being streamed
+    const conversation = createConversationModel();
+    let currentAssistantMessageId = null;
+    // Assistant message the next reply becomes a sibling branch of (regenerate)
+    let pendingReplyBranchOf = null;
+    // Rendered DOM node per message id
+    const messageNodes = new Map();
     let currentModelDisplayName = 'Assistant';
     let currentModelId = null;
+    // dtype requested for currentModelId (recorded on replies and in exports)
+    let currentModelDtype = null;
     let lastLoadedModelId = null;
     let modelLoadInProgress = false;
     let modelUnloadInProgress = false;
     let buttonInitiatedLoad = false;
+    // Number of the current load; responses of earlier loads are dropped
+    let activeLoadId = 0;
+    // Aborts the current generation (queued or running)
+    let generationController = null;
+    // Model whose registry defaults are currently shown in the settings panel
+    let generationSettingsModelId = null;
+    // True once the user edits the system prompt in the current conversation
+    let systemPromptEdited = false;
+    // IndexedDB record of the conversation shown in the chat (null until first save)
+    let currentConversation = null;
+    // The conversation shown in the chat, { record, saving }; replaced by a new object
+    // whenever another conversation is shown, so queued saves of the previous
+    // one still update its own record
+    let conversationSession = { record: null };
+    // Saves run one after another: a new conversation's first save assigns the
+    // record id that the following saves update
+    let saveQueue = Promise.resolve();
+
+    // Device/dtype that last loaded successfully, per model, so a model that
+    // needed a fallback starts there next time: { [modelId]: { device, dtype } }
+    const RUNTIME_KEY = 'onnx-transformers-chat:model-runtime';
+
+    function rememberedRuntime(modelId) {
+      try {
+        return (JSON.parse(localStorage.getItem(RUNTIME_KEY)) || {})[modelId] || null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    function rememberRuntime(modelId, runtime) {
+      try {
+        const stored = JSON.parse(localStorage.getItem(RUNTIME_KEY)) || {};
+        stored[modelId] = { device: runtime.device, dtype: runtime.dtype };
+        localStorage.setItem(RUNTIME_KEY, JSON.stringify(stored));
+      } catch (e) {
+        // localStorage may be disabled; the registry defaults are used instead
+      }
+    }
 
     function friendlyModelName(id) {
       if (!id) return 'Assistant';
       return (MODEL_REGISTRY[id] && MODEL_REGISTRY[id].friendly) || id;
     }
 
+    // Generation defaults for a model: global fallbacks overridden by the registry entry
+    function modelGenerationDefaults(modelId) {
+      const base = window.GENERATION_DEFAULTS || {};
+      const overrides = (MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].generation) || {};
+      return { ...base, ...overrides };
+    }
+
+    function applyGenerationSettings(values) {
+      generationInputs.forEach((input) => {
+        const value = values[input.dataset.param];
+        input.value = value === null || value === undefined ? '' : value;
+      });
+      showGenerationError('');
+    }
+
+    // Blank fields are omitted so the worker falls back to the model defaults
+    function readGenerationSettings() {
+      const options = {};
+      generationInputs.forEach((input) => {
+        const raw = input.value.trim();
+        if (raw !== '') options[input.dataset.param] = Number(raw);
+      });
+      return options;
+    }
+
+    function validateGenerationSettings() {
+      const invalid = generationInputs.find((input) => !input.checkValidity());
+      if (!invalid) return true;
+      showGenerationError(`Invalid value for ${invalid.dataset.param}: ${invalid.validationMessage}`);
+      if (generationSettings) generationSettings.open = true;
+      invalid.focus();
+      return false;
+    }
+
+    function showGenerationError(message) {
+      if (generationError) generationError.textContent = message || '';
+    }
+
+    function modelSystemPrompt(modelId) {
+      return (MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].systemPrompt) || '';
+    }
+
+    // Start a conversation with the model's default system prompt
+    function resetSystemPrompt(modelId) {
+      systemPromptEdited = false;
+      if (systemPromptInput) systemPromptInput.value = modelSystemPrompt(modelId);
+    }
+
     function clearLoadedFiles() {
+      loadedFileRows.clear();
+      if (loadAttemptsList) loadAttemptsList.innerHTML = '';
       if (loadedFilesList) {
         loadedFilesList.innerHTML = '';
       }
+      if (downloadState) {
+        downloadState.textContent = '';
+        downloadState.className = 'download-state';
+      }
     }
 
-    function appendLoadedFile(fileLabel) {
+    // One row per model file of the current load: name, bytes and a small bar
+    const loadedFileRows = new Map();
+
+    function updateLoadedFile({ file: fileLabel, loaded = 0, total = 0, done = false }) {
       if (!loadedFilesList || !fileLabel) return;
-      const li = document.createElement('li');
-      li.textContent = fileLabel;
-      loadedFilesList.appendChild(li);
+      let row = loadedFileRows.get(fileLabel);
+      if (!row) {
+        const li = document.createElement('li');
+        li.className = 'loaded-file';
+        const name = document.createElement('span');
+        name.className = 'loaded-file-name';
+        name.textContent = fileLabel;
+        const size = document.createElement('span');
+        size.className = 'loaded-file-size';
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar loaded-file-bar';
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        bar.appendChild(fill);
+        li.append(name, size, bar);
+        loadedFilesList.appendChild(li);
+        row = { li, size, fill };
+        loadedFileRows.set(fileLabel, row);
+      }
+      const percent = done ? 100 : (total ? Math.min(100, (loaded / total) * 100) : 0);
+      row.li.classList.toggle('done', done);
+      row.fill.style.width = `${percent}%`;
+      row.size.textContent = total
+        ? (done ? ModelCache.formatBytes(total) : `${ModelCache.formatBytes(loaded)} / ${ModelCache.formatBytes(total)}`)
+        : (done ? '' : '…');
+    }
+
+    // "Trying WebGPU · q4f16 (1/6)", then "failed: <reason>" or "ok"
+    function showLoadAttempt(status, attempt) {
+      if (!loadAttemptsList || !attempt) return;
+      const label = `${attempt.device === 'wasm' ? 'WASM' : 'WebGPU'} · ${attempt.dtype}`;
+      if (status === 'load_attempt') {
+        Array.from(loadAttemptsList.querySelectorAll('.trying')).forEach((li) => li.classList.remove('trying'));
+        const li = document.createElement('li');
+        li.className = 'trying';
+        li.textContent = `Trying ${label} (${attempt.index + 1}/${attempt.count})`;
+        loadAttemptsList.appendChild(li);
+        return;
+      }
+      const li = loadAttemptsList.lastElementChild;
+      if (!li) return;
+      li.className = 'failed';
+      li.textContent = `${label} failed: ${attempt.error}`;
+    }
+
+    function formatEta(seconds) {
+      if (seconds == null || !isFinite(seconds)) return '';
+      const s = Math.ceil(seconds);
+      if (s < 60) return `${s}s`;
+      if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+      return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+    }
+
+    // "45% · 312 MB / 690 MB · 12.3 MB/s · ETA 31s"
+    function showOverallProgress({ loaded, total, progress, speed, eta }) {
+      progressFill.style.width = `${progress}%`;
+      const parts = [`${Math.round(progress)}%`];
+      if (total) parts.push(`${ModelCache.formatBytes(loaded)} / ${ModelCache.formatBytes(total)}`);
+      if (speed > 0 && loaded < total) {
+        parts.push(`${ModelCache.formatBytes(speed)}/s`);
+        if (eta != null) parts.push(`ETA ${formatEta(eta)}`);
+      }
+      progressText.textContent = parts.join(' · ');
     }
 
     function updateLoadButtonLabel(prefixOverride) {
@@ -581,8 +557,23 @@ async function initApp() {
       unloadModelBtn.disabled = false;
     }
 
+    // "~570 MB download · 40,960-token context · apache-2.0 license"
+    function describeModel(modelId) {
+      const entry = MODEL_REGISTRY[modelId] || {};
+      const parts = [];
+      if (entry.downloadSize) parts.push(`~${ModelCache.formatBytes(entry.downloadSize)} download`);
+      if (entry.contextLength) parts.push(`${entry.contextLength.toLocaleString()}-token context`);
+      if (entry.license) parts.push(`${entry.license} license`);
+      return parts.join(' · ');
+    }
+
     function openLoadModal() {
       if (!loadModal) return;
+      if (loadModalDetails) {
+        const details = modelSelect ? describeModel(modelSelect.value) : '';
+        loadModalDetails.textContent = details ? `${friendlyModelName(modelSelect.value)}: ${details}` : '';
+        loadModalDetails.classList.toggle('hidden', !details);
+      }
       loadModal.classList.remove('hidden');
     }
 
@@ -606,9 +597,21 @@ async function initApp() {
       }
     }
 
+    // Run a client request and pass each of its responses to
+    // handleWorkerMessage() while isCurrent() holds; errors without a
+    // response (e.g. a failed handshake) are passed on as `failed`
+    function followRequest(type, run, isCurrent = () => true) {
+      const onEvent = (message) => {
+        if (isCurrent()) handleWorkerMessage(message);
+      };
+      return run(onEvent).catch((error) => {
+        if (!error.response) onEvent({ request: type, status: 'failed', error: error.message });
+      });
+    }
+
     // Worker Message Handling
-    worker.addEventListener('message', (e) => {
-      const { status, data, progress, file, output, thought, tps, model } = e.data;
+    function handleWorkerMessage(message) {
+      const { request, status, data, progress, file, output, thought, tps, model } = message;
 
       const currentModelNameEl = document.getElementById('current-model-name');
 
@@ -616,26 +619,32 @@ async function initApp() {
             case 'loading':
             case 'initiate':
             case 'progress':
-                // Show loading status and progress bar
+                // Show loading status; the bar follows progress_total
                 modelLoadInProgress = true;
                 updateLoadButtonLabel();
                 updateUnloadButtonLabel();
                 modelStatus.classList.remove('hidden');
-                if (file) loadingFile.textContent = file;
-                if (progress) {
-                    progressFill.style.width = `${progress}%`;
-                    progressText.textContent = `${Math.round(progress)}%`;
+                if (file) {
+                    loadingFile.textContent = file;
+                    updateLoadedFile(message);
                 }
                 break;
 
             case 'done':
                 // File download complete
-                progressFill.style.width = '100%';
-                progressText.textContent = '100%';
-                if (file) appendLoadedFile(file);
-                setTimeout(() => {
-                    modelStatus.classList.add('hidden');
-                }, 1000);
+                if (file) updateLoadedFile({ ...message, done: true });
+                break;
+
+            case 'load_attempt':
+            case 'load_attempt_failed':
+                // One row per device/dtype configuration tried
+                showLoadAttempt(status, data);
+                break;
+
+            case 'progress_total':
+                // Overall bytes, speed and ETA across all files
+                showOverallProgress(message);
+                (message.files || []).forEach(updateLoadedFile);
                 break;
 
               case 'model_changed':
@@ -672,31 +681,59 @@ async function initApp() {
               if (lastLoadedModelId) {
                 currentModelDisplayName = friendlyModelName(lastLoadedModelId);
               }
-              if (currentModelNameEl) currentModelNameEl.textContent = friendlyModelName(lastLoadedModelId || currentModelId);
+              // Record the configuration that worked (it may be a fallback)
+              if (message.dtype) currentModelDtype = message.dtype;
+              if (lastLoadedModelId && message.device && message.dtype) {
+                rememberRuntime(lastLoadedModelId, message);
+                if (modelSelect.value === lastLoadedModelId) showRuntime(lastLoadedModelId, message);
+              }
+              if (currentModelNameEl) {
+                const runtime = message.device && message.dtype ? ` (${message.device === 'wasm' ? 'WASM' : 'WebGPU'} · ${message.dtype})` : '';
+                currentModelNameEl.textContent = friendlyModelName(lastLoadedModelId || currentModelId) + runtime;
+              }
+              // Keep user edits when reloading the same model
+              if (lastLoadedModelId && lastLoadedModelId !== generationSettingsModelId) {
+                generationSettingsModelId = lastLoadedModelId;
+                applyGenerationSettings(modelGenerationDefaults(lastLoadedModelId));
+              }
+              // Switch to the new model's default unless this conversation set its own
+              if (!systemPromptEdited) resetSystemPrompt(lastLoadedModelId);
               modelLoadInProgress = false;
               updateLoadButtonLabel();
               updateUnloadButtonLabel();
+              updateButtons();
               break;
 
-            case 'start':
-                // Generation started
+            case 'queued':
+                // Waiting behind a load or another generation; Stop cancels it
+                console.log(`Generation queued at position ${message.position}`);
+                break;
+
+            case 'start': {
+                // Generation started; a regenerated answer becomes a new branch
                 isGenerating = true;
-                appendMessage('assistant', '');
-                thoughtContent.textContent = ''; // Clear previous thoughts
+                const replyOptions = { metadata: { modelId: currentModelId, dtype: currentModelDtype } };
+                const reply = pendingReplyBranchOf ? conversation.addSibling(pendingReplyBranchOf, 'assistant', '', replyOptions) : conversation.add('assistant', '', replyOptions);
+                pendingReplyBranchOf = null;
+                currentAssistantMessageId = reply.id;
+                showThought(''); // Clear previous thoughts
                 updateButtons();
                 break;
+            }
 
             case 'update':
                 // Received partial output from generation
                 if (tps) {
                     tpsStatus.classList.remove('hidden');
                     tpsValue.textContent = tps.toFixed(2);
+                    if (currentAssistantMessageId) conversation.update(currentAssistantMessageId, { metadata: { tps, numTokens: message.numTokens } });
                 }
                 if (output) {
                     updateCurrentAssistantMessage(output);
                 }
                 if (thought) {
-                    thoughtContent.textContent = thought;
+                    if (currentAssistantMessageId) conversation.update(currentAssistantMessageId, { thought });
+                    showThought(thought);
                     thoughtContent.scrollTop = thoughtContent.scrollHeight;
                     // Auto-show thought panel if there is thought content
                     if (thoughtPanel.classList.contains('hidden')) {
@@ -707,10 +744,15 @@ async function initApp() {
                 break;
 
             case 'complete':
-                // Generation finished
+            case 'cancelled':
+                // Generation finished (or was stopped; the partial answer is kept)
+                generationController = null;
                 isGenerating = false;
-                currentAssistantMessageDiv = null;
+                currentAssistantMessageId = null;
+                // Cancelled while still queued: no reply branch was started
+                pendingReplyBranchOf = null;
                 updateButtons();
+                saveCurrentConversation();
                 break;
 
             case 'unloading':
@@ -736,12 +778,18 @@ async function initApp() {
                 tpsStatus.classList.add('hidden');
                 updateLoadButtonLabel();
                 updateUnloadButtonLabel();
+                updateButtons();
                 break;
 
-            case 'error':
-                console.error('Worker error:', data);
-                if (modelLoadInProgress) {
-                    modelStatus.classList.add('hidden');
+            case 'failed':
+                console.error('Worker request failed:', request, message.error);
+                if (request === 'load' || request === 'set_model') {
+                    // Keep the list of failed attempts visible
+                    if (loadAttemptsList && loadAttemptsList.children.length) {
+                        loadingFile.textContent = message.error;
+                    } else {
+                        modelStatus.classList.add('hidden');
+                    }
                     modelLoadInProgress = false;
                     lastLoadedModelId = null;
                     updateLoadButtonLabel('Retry');
@@ -749,17 +797,27 @@ async function initApp() {
                     if (currentModelNameEl) {
                         currentModelNameEl.textContent = 'Load failed';
                     }
-                } else if (modelUnloadInProgress) {
+                } else if (request === 'unload') {
                     modelUnloadInProgress = false;
                     updateLoadButtonLabel();
                     updateUnloadButtonLabel();
+                } else if (request === 'generate') {
+                    // Generation errors (e.g. rejected generation options)
+                    showGenerationError(message.error);
+                    generationController = null;
+                    isGenerating = false;
+                    currentAssistantMessageId = null;
+                    pendingReplyBranchOf = null;
+                    updateButtons();
                 }
                 break;
         }
-    });
+    }
 
     // Model selection control
     const modelSelect = document.getElementById('model-select');
+    const deviceSelect = document.getElementById('device-select');
+    const dtypeSelect = document.getElementById('dtype-select');
 
     // Populate model dropdown from centralized registry if available
     try {
@@ -777,6 +835,63 @@ async function initApp() {
     } catch (e) {
       console.warn('Model registry not available to populate dropdown:', e);
     }
+    if (registryErrors.length) {
+      showLocalModelError(`Skipped ${registryErrors.length === 1 ? 'an invalid model entry' : registryErrors.length + ' invalid model entries'} (see console)`);
+    }
+    // Device and dtype choices for the selected model, limited to what its
+    // registry entry allows (and to WASM when WebGPU is unavailable)
+    function updateRuntimeOptions(modelId) {
+      const entry = MODEL_REGISTRY[modelId];
+      if (!entry) return;
+      if (deviceSelect) {
+        Array.from(deviceSelect.options).forEach((opt) => {
+          const supported = entry.devices.includes(opt.value);
+          opt.disabled = !supported || (opt.value === 'webgpu' && !webgpuAvailable);
+          opt.title = !supported ? 'Not supported by this model' : (opt.disabled ? 'WebGPU is not available in this browser' : '');
+        });
+        const current = deviceSelect.selectedOptions[0];
+        if (!current || current.disabled) {
+          const first = Array.from(deviceSelect.options).find((opt) => !opt.disabled);
+          if (first) deviceSelect.value = first.value;
+        }
+      }
+      if (dtypeSelect) {
+        dtypeSelect.innerHTML = '';
+        entry.dtypes.forEach((dtype) => {
+          const opt = document.createElement('option');
+          opt.value = dtype;
+          opt.textContent = dtype === entry.dtype ? `${dtype} (default)` : dtype;
+          dtypeSelect.appendChild(opt);
+        });
+        dtypeSelect.value = entry.dtype;
+      }
+      // Start from the configuration that worked last time, if still allowed
+      const remembered = rememberedRuntime(modelId);
+      if (remembered) showRuntime(modelId, remembered);
+    }
+
+    function showRuntime(modelId, { device, dtype }) {
+      const entry = MODEL_REGISTRY[modelId];
+      if (!entry || !entry.devices.includes(device) || !entry.dtypes.includes(dtype)) return;
+      if (device === 'webgpu' && !webgpuAvailable) return;
+      if (deviceSelect) deviceSelect.value = device;
+      if (dtypeSelect) dtypeSelect.value = dtype;
+    }
+
+    function selectedDevice(modelId) {
+      const entry = MODEL_REGISTRY[modelId];
+      const device = deviceSelect && deviceSelect.value;
+      if (device && entry.devices.includes(device) && (device !== 'webgpu' || webgpuAvailable)) return device;
+      return webgpuAvailable && entry.devices.includes('webgpu') ? 'webgpu' : 'wasm';
+    }
+
+    function selectedDtype(modelId) {
+      const entry = MODEL_REGISTRY[modelId];
+      const dtype = dtypeSelect && dtypeSelect.value;
+      return dtype && entry.dtypes.includes(dtype) ? dtype : entry.dtype;
+    }
+
+    updateRuntimeOptions(modelSelect.value);
     updateLoadButtonLabel();
     updateUnloadButtonLabel();
 
@@ -798,12 +913,15 @@ async function initApp() {
 
       // Previously could request CPU fallback; that option was removed.
 
-      // Determine preferred dtype for the selected model and send it explicitly.
-      // NanoChat models use a 4-bit q4 dtype; others default to q4f16.
-      const preferredDtype = (MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].dtype) || (/gemma/i.test(modelId) ? 'fp32' : (/nanochat/i.test(modelId) ? 'q4' : 'q4f16'));
-      worker.postMessage({ type: 'set_model', data: { model_id: modelId, dtype: preferredDtype } });
-      // Ask worker to load the newly selected model
-      worker.postMessage({ type: 'load' });
+      // Send the chosen device and dtype explicitly (registry defaults unless changed)
+      const preferredDtype = selectedDtype(modelId);
+      const preferredDevice = selectedDevice(modelId);
+      currentModelDtype = preferredDtype;
+      // Configurations the worker tries in turn if loading fails
+      const fallbacks = modelFallbackLadder(MODEL_REGISTRY[modelId], { device: preferredDevice, dtype: preferredDtype }, webgpuAvailable ? null : ['wasm']);
+      // Progress of earlier loads is ignored from now on
+      const loadId = ++activeLoadId;
+      followRequest('load', (onEvent) => client.load(modelId, { dtype: preferredDtype, device: preferredDevice, fallbacks, onEvent }), () => loadId === activeLoadId);
 
       // Show/hide the thoughts UI depending on whether the model supports it
       if (isThinkingModel(modelId)) {
@@ -819,6 +937,7 @@ async function initApp() {
     }
 
     modelSelect.addEventListener('change', () => {
+      updateRuntimeOptions(modelSelect.value);
       if (!modelLoadInProgress) {
         updateLoadButtonLabel();
       }
@@ -839,7 +958,7 @@ async function initApp() {
         modelUnloadInProgress = true;
         updateUnloadButtonLabel();
         updateLoadButtonLabel();
-        worker.postMessage({ type: 'unload' });
+        followRequest('unload', (onEvent) => client.unload({ onEvent }));
       });
     }
 
@@ -870,114 +989,544 @@ async function initApp() {
       }
     });
 
+    // Load from disk: a picked or dropped folder becomes a "local/<folder>"
+    // registry entry; its files are handed to the worker, which serves them to
+    // transformers.js, and the model is then loaded like any other
+    function showLocalModelError(message) {
+      if (localModelError) localModelError.textContent = message || '';
+    }
+
+    // Send the edited registry to the worker; a dead worker is already
+    // reported in the status line by client.ready
+    function syncRegistry() {
+      client.setRegistry(MODEL_REGISTRY).catch((error) => console.warn('Could not update the worker registry:', error));
+    }
+
+    async function loadModelFromDisk(selection) {
+      if (modelLoadInProgress || modelUnloadInProgress) return;
+      showLocalModelError('');
+      let local;
+      try {
+        local = await LocalModels.describe(selection);
+      } catch (e) {
+        showLocalModelError('Cannot load model from disk: ' + e.message);
+        return;
+      }
+      MODEL_REGISTRY[local.modelId] = validateModelEntry(local.modelId, {
+        friendly: local.name + ' (local)',
+        dtype: local.dtype,
+        dtypes: local.dtypes,
+        thinking: local.thinking,
+        local: true,
+      }).entry;
+      if (!Array.from(modelSelect.options).some((opt) => opt.value === local.modelId)) {
+        const opt = document.createElement('option');
+        opt.value = local.modelId;
+        opt.textContent = MODEL_REGISTRY[local.modelId].friendly;
+        modelSelect.appendChild(opt);
+      }
+      modelSelect.value = local.modelId;
+      updateRuntimeOptions(local.modelId);
+      syncRegistry();
+      client.addLocalModel(local.modelId, local.files).catch((error) => showLocalModelError('Cannot load model from disk: ' + error.message));
+      // Nothing is downloaded, so skip the confirmation dialog
+      startModelLoad();
+    }
+
+    if (loadDiskBtn && loadDiskInput) {
+      loadDiskBtn.addEventListener('click', () => loadDiskInput.click());
+      loadDiskInput.addEventListener('change', () => {
+        const selection = LocalModels.fromFileList(loadDiskInput.files);
+        loadDiskInput.value = '';
+        if (selection.length) loadModelFromDisk(selection);
+      });
+    }
+
+    document.addEventListener('dragover', (event) => {
+      if (!LocalModels.isModelDrop(event.dataTransfer)) return;
+      event.preventDefault();
+      document.body.classList.add('model-drag-over');
+    });
+    document.addEventListener('dragleave', (event) => {
+      if (!event.relatedTarget) document.body.classList.remove('model-drag-over');
+    });
+    document.addEventListener('drop', async (event) => {
+      if (!LocalModels.isModelDrop(event.dataTransfer)) return;
+      event.preventDefault();
+      document.body.classList.remove('model-drag-over');
+      try {
+        loadModelFromDisk(await LocalModels.fromDataTransfer(event.dataTransfer));
+      } catch (e) {
+        showLocalModelError('Cannot read dropped files: ' + e.message);
+      }
+    });
+
+    // Add Model: probe a repo for config.json and onnx/model_<dtype>.onnx
+    // variants, let the user name it, then save it as a custom registry entry
+    // (persisted by CustomModels) and add it to the dropdown
+    let probedModel = null;
+
+    function setAddModelStatus(message, isError) {
+      if (!addModelStatus) return;
+      addModelStatus.textContent = message || '';
+      addModelStatus.classList.toggle('settings-error', !!isError);
+    }
+
+    // Forget the last probe result (the repo field is kept)
+    function clearProbedModel() {
+      probedModel = null;
+      addModelDtype.innerHTML = '';
+      addModelDetails.disabled = true;
+      addModelSaveBtn.disabled = true;
+      setAddModelStatus('');
+    }
+
+    function resetAddModelForm() {
+      addModelForm.reset();
+      clearProbedModel();
+    }
+
+    function openAddModelModal() {
+      if (!addModelModal) return;
+      resetAddModelForm();
+      renderCustomModelList();
+      addModelModal.classList.remove('hidden');
+      addModelRepo.focus();
+    }
+
+    function closeAddModelModal() {
+      if (addModelModal) addModelModal.classList.add('hidden');
+    }
+
+    function addModelOption(modelId) {
+      let opt = Array.from(modelSelect.options).find((o) => o.value === modelId);
+      if (!opt) {
+        opt = document.createElement('option');
+        opt.value = modelId;
+        modelSelect.appendChild(opt);
+      }
+      opt.textContent = friendlyModelName(modelId);
+    }
+
+    async function probeAddModelRepo() {
+      clearProbedModel();
+      let parsed;
+      try {
+        parsed = CustomModels.parseRepo(addModelRepo.value);
+      } catch (e) {
+        setAddModelStatus(e.message, true);
+        return;
+      }
+      setAddModelStatus(`Checking ${parsed.modelId}...`);
+      addModelProbeBtn.disabled = true;
+      try {
+        probedModel = await CustomModels.probe(parsed, client.modelSource(parsed.modelId));
+      } catch (e) {
+        setAddModelStatus(e.message, true);
+        return;
+      } finally {
+        addModelProbeBtn.disabled = false;
+      }
+      addModelName.value = probedModel.name;
+      addModelDtype.innerHTML = '';
+      probedModel.dtypes.forEach((dtype) => {
+        const opt = document.createElement('option');
+        opt.value = dtype;
+        opt.textContent = dtype;
+        addModelDtype.appendChild(opt);
+      });
+      addModelDtype.value = probedModel.dtype;
+      addModelThinking.checked = probedModel.thinking;
+      addModelDetails.disabled = false;
+      addModelSaveBtn.disabled = false;
+      const exists = MODEL_REGISTRY[probedModel.modelId];
+      setAddModelStatus(`Found ${probedModel.modelType || 'a'} model with ${probedModel.dtypes.join(', ')} weights.`
+        + (exists && !exists.custom ? ' It is already in the list; saving adds nothing.' : ''));
+    }
+
+    function saveProbedModel() {
+      if (!probedModel) return;
+      const { modelId, source, dtypes } = probedModel;
+      if (MODEL_REGISTRY[modelId] && !MODEL_REGISTRY[modelId].custom) {
+        modelSelect.value = modelId;
+        updateRuntimeOptions(modelId);
+        closeAddModelModal();
+        updateLoadButtonLabel();
+        return;
+      }
+      const entry = {
+        friendly: addModelName.value.trim() || probedModel.name,
+        dtype: addModelDtype.value || probedModel.dtype,
+        dtypes,
+        thinking: addModelThinking.checked,
+      };
+      // Only store what differs from the defaults so later default changes apply
+      ['remoteHost', 'remotePathTemplate', 'revision'].forEach((key) => {
+        if (source[key] && source[key] !== (window.MODEL_SOURCE_DEFAULTS || {})[key]) entry[key] = source[key];
+      });
+      const { entry: validated, errors } = validateModelEntry(modelId, { ...entry, custom: true });
+      if (!validated) {
+        setAddModelStatus(errors.join('; '), true);
+        return;
+      }
+      try {
+        CustomModels.save(modelId, entry);
+        MODEL_REGISTRY[modelId] = validated;
+      } catch (e) {
+        setAddModelStatus('Could not save the model: ' + e.message, true);
+        return;
+      }
+      syncRegistry();
+      addModelOption(modelId);
+      modelSelect.value = modelId;
+      updateRuntimeOptions(modelId);
+      updateLoadButtonLabel();
+      closeAddModelModal();
+    }
+
+    function removeCustomModel(modelId) {
+      CustomModels.remove(modelId);
+      delete MODEL_REGISTRY[modelId];
+      syncRegistry();
+      const opt = Array.from(modelSelect.options).find((o) => o.value === modelId);
+      if (opt) opt.remove();
+      updateRuntimeOptions(modelSelect.value);
+      updateLoadButtonLabel();
+      renderCustomModelList();
+    }
+
+    function renderCustomModelList() {
+      if (!customModelList) return;
+      customModelList.innerHTML = '';
+      const ids = Object.keys(CustomModels.list());
+      customModelsSection.classList.toggle('hidden', !ids.length);
+      ids.forEach((modelId) => {
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${friendlyModelName(modelId)} — ${modelId}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-btn';
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = modelId === lastLoadedModelId || (modelLoadInProgress && modelId === currentModelId);
+        removeBtn.addEventListener('click', () => removeCustomModel(modelId));
+        li.append(label, removeBtn);
+        customModelList.appendChild(li);
+      });
+    }
+
+    if (addModelBtn && addModelModal && window.CustomModels) {
+      addModelBtn.addEventListener('click', openAddModelModal);
+      addModelCancelBtn.addEventListener('click', closeAddModelModal);
+      addModelProbeBtn.addEventListener('click', probeAddModelRepo);
+      addModelRepo.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.preventDefault();
+        probeAddModelRepo();
+      });
+      addModelRepo.addEventListener('input', () => {
+        if (probedModel) clearProbedModel();
+      });
+      addModelForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveProbedModel();
+      });
+      addModelModal.addEventListener('click', (event) => {
+        if (event.target === addModelModal) closeAddModelModal();
+      });
+      document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !addModelModal.classList.contains('hidden')) closeAddModelModal();
+      });
+    } else if (addModelBtn) {
+      addModelBtn.classList.add('hidden');
+    }
+
     // UI Helpers
-    function appendMessage(role, content) {
+    // Renderer: keeps the messages container in sync with the conversation model
+    conversation.subscribe((event) => {
+        switch (event.type) {
+            case 'add':
+                appendMessage(event.message);
+                break;
+            case 'update':
+                renderMessageContent(event.message);
+                break;
+            case 'reset':
+                messagesContainer.innerHTML = '';
+                messageNodes.clear();
+                event.messages.forEach(appendMessage);
+                break;
+        }
+        // Streaming updates do not change which actions are available
+        if (event.type !== 'update') updateMessageActions();
+    });
+
+    // Build the DOM node for a conversation message and append it
+    function appendMessage(message) {
         let node;
-        if (role === 'assistant') {
+        if (message.role === 'assistant') {
           const fieldset = document.createElement('fieldset');
           fieldset.className = 'message assistant';
 
           const legend = document.createElement('legend');
-          legend.textContent = currentModelDisplayName || 'Assistant';
+          legend.textContent = message.metadata.modelId ? friendlyModelName(message.metadata.modelId) : (currentModelDisplayName || 'Assistant');
           fieldset.appendChild(legend);
 
           const body = document.createElement('div');
           body.className = 'assistant-output';
-          body.innerHTML = renderFormatted(content);
           fieldset.appendChild(body);
 
           node = fieldset;
-          currentAssistantMessageDiv = body;
         } else {
-          const div = document.createElement('div');
-          div.className = `message ${role}`;
-          div.textContent = content;
-          node = div;
-        }
+          node = document.createElement('div');
+          node.className = `message ${message.role}`;
 
-        if (node && node.dataset) {
-          node.dataset.rawContent = content;
+          const text = document.createElement('div');
+          text.className = 'message-text';
+          node.appendChild(text);
         }
+        node.dataset.messageId = message.id;
+        const branchSwitcher = buildBranchSwitcher(message);
+        if (branchSwitcher) node.appendChild(branchSwitcher);
+        node.appendChild(buildMessageActions(message));
 
+        messageNodes.set(message.id, node);
+        renderMessageContent(message);
         messagesContainer.appendChild(node);
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }
 
-        if (role !== 'assistant') {
-            currentAssistantMessageDiv = null;
+    function renderMessageContent(message) {
+        const node = messageNodes.get(message.id);
+        if (!node) return;
+        if (message.role === 'assistant') {
+          node.querySelector('.assistant-output').innerHTML = renderFormatted(message.content);
+        } else {
+          node.querySelector('.message-text').textContent = message.content;
+        }
+        if (message.id === currentAssistantMessageId) {
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
         }
     }
 
-    function updateCurrentAssistantMessage(content) {
-        if (currentAssistantMessageDiv) {
-            currentAssistantMessageDiv.innerHTML = renderFormatted(content);
-            messagesContainer.scrollTop = messagesContainer.scrollHeight;
-            const fieldset = currentAssistantMessageDiv.closest('.message.assistant');
-            if (fieldset && fieldset.dataset) {
-              fieldset.dataset.rawContent = content;
+    // "‹ 2/3 ›" control for messages that have alternative branches
+    function buildBranchSwitcher(message) {
+        const { index, count } = conversation.getBranchInfo(message.id);
+        if (count < 2) return null;
+        const switcher = document.createElement('div');
+        switcher.className = 'branch-switcher';
+
+        const addArrow = (label, title, delta, disabled) => {
+          const btn = document.createElement('button');
+          btn.className = 'branch-btn';
+          btn.textContent = label;
+          btn.title = title;
+          btn.disabled = disabled;
+          btn.addEventListener('click', () => switchBranch(message.id, delta));
+          switcher.appendChild(btn);
+        };
+
+        addArrow('‹', 'Previous version', -1, index <= 1);
+        const label = document.createElement('span');
+        label.className = 'branch-label';
+        label.textContent = `${index}/${count}`;
+        switcher.appendChild(label);
+        addArrow('›', 'Next version', 1, index >= count);
+        return switcher;
+    }
+
+    function switchBranch(id, delta) {
+        if (isGenerating) return;
+        if (!conversation.selectSibling(id, delta)) return;
+        invalidateWorkerCache();
+        const lastThought = conversation.getMessages().reverse().find((m) => m.thought);
+        showThought(lastThought ? lastThought.thought : '');
+        saveCurrentConversation();
+    }
+
+    // Per-message action bar: edit (user), regenerate (last assistant), delete
+    function buildMessageActions(message) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const addAction = (action, label, title, handler) => {
+          const btn = document.createElement('button');
+          btn.className = 'message-action';
+          btn.dataset.action = action;
+          btn.textContent = label;
+          btn.title = title;
+          btn.addEventListener('click', () => {
+            if (!isGenerating) handler(message.id);
+          });
+          actions.appendChild(btn);
+        };
+
+        if (message.role === 'user') {
+          addAction('edit', 'Edit', 'Edit and resubmit this message', beginEditMessage);
+        } else if (message.role === 'assistant') {
+          addAction('regenerate', 'Regenerate', 'Generate a different answer', regenerateMessage);
+        }
+        addAction('delete', 'Delete', 'Delete this turn', deleteMessage);
+        return actions;
+    }
+
+    // Actions are disabled while generating; regenerate is only offered on the last answer
+    function updateMessageActions() {
+        const messages = conversation.getMessages();
+        const last = messages[messages.length - 1];
+        messageNodes.forEach((node, id) => {
+          node.querySelectorAll('.message-action').forEach((btn) => {
+            btn.disabled = isGenerating || (!lastLoadedModelId && btn.dataset.action !== 'delete');
+            if (btn.dataset.action === 'regenerate') {
+              btn.classList.toggle('hidden', !last || last.id !== id);
             }
+          });
+        });
+    }
+
+    function beginEditMessage(id) {
+        const message = conversation.get(id);
+        const node = messageNodes.get(id);
+        if (!message || !node || node.classList.contains('editing')) return;
+        node.classList.add('editing');
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        const textarea = document.createElement('textarea');
+        textarea.value = message.content;
+        textarea.rows = Math.min(10, Math.max(2, message.content.split('\n').length));
+        const saveBtn = document.createElement('button');
+        saveBtn.textContent = 'Save & Submit';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'secondary-btn';
+        cancelBtn.textContent = 'Cancel';
+        editor.append(textarea, saveBtn, cancelBtn);
+        node.appendChild(editor);
+        textarea.focus();
+
+        const close = () => {
+          editor.remove();
+          node.classList.remove('editing');
+        };
+        cancelBtn.addEventListener('click', close);
+        saveBtn.addEventListener('click', () => {
+          const text = textarea.value.trim();
+          if (!text || isGenerating || !validateGenerationSettings()) return;
+          close();
+          // Keep the original turn as a branch and answer the edited copy
+          conversation.addSibling(id, 'user', text);
+          invalidateWorkerCache();
+          saveCurrentConversation();
+          requestGeneration();
+        });
+    }
+
+    function regenerateMessage(id) {
+        const messages = conversation.getMessages();
+        const last = messages[messages.length - 1];
+        if (!last || last.id !== id || last.role !== 'assistant') return;
+        if (!validateGenerationSettings()) return;
+        invalidateWorkerCache();
+        // Force sampling (and drop a fixed seed) so the new answer differs
+        const options = readGenerationSettings();
+        if (!options.temperature) {
+          options.temperature = modelGenerationDefaults(lastLoadedModelId).temperature || 0.7;
         }
+        delete options.seed;
+        // The new answer is added next to this one as another branch
+        requestGeneration(options, { branchOf: id });
+    }
+
+    // Deleting a user message also removes the assistant reply that answered it
+    // Deletes the turn with every answer branch and the turns that follow it,
+    // in one model change, so the saved tree never holds a half-deleted turn
+    function deleteMessage(id) {
+        if (!conversation.remove(id)) return;
+        invalidateWorkerCache();
+        saveCurrentConversation();
+    }
+
+    // The conversation no longer matches the worker's cached KV tokens
+    function invalidateWorkerCache() {
+        client.reset().catch((error) => console.warn('Could not reset the worker cache:', error));
     }
 
-    // Simple, safe formatter for minimal markdown-like rendering
-    // - Escapes HTML
-    // - Converts **bold** to <strong>bold</strong>
-    // - Converts lines starting with '- ' into separate list-item blocks
-    function escapeHtml(unsafe) {
-      return unsafe
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+    function updateCurrentAssistantMessage(content) {
+        if (currentAssistantMessageId) {
+            conversation.update(currentAssistantMessageId, { content });
+        }
     }
 
+    // Markdown rendering for assistant output (see public/markdown.js).
+    // The renderer escapes all model text and tolerates partially streamed input.
     function renderFormatted(text) {
       if (!text) return '';
-      // Ensure it's a string
-      let s = String(text);
-      // Escape HTML first
-      s = escapeHtml(s);
-      // Convert **bold** (non-greedy)
-      s = s.replace(/\*\*([\s\S]*?)\*\*/g, '<strong>$1</strong>');
-      // Convert lines that start with '- ' into block list items
-      // We'll split lines and wrap lines starting with '- '
-      const lines = s.split(/\r?\n/);
-      for (let i = 0; i < lines.length; i++) {
-        const m = lines[i].match(/^\s*-\s+(.*)$/);
-        if (m) {
-          lines[i] = '<div class="list-item">' + m[1] + '</div>';
-        } else {
-          // preserve line breaks
-          lines[i] = lines[i];
-        }
-      }
-      // Join with <br> to preserve newlines
-      return lines.join('<br>');
+      return Markdown.render(String(text));
+    }
+
+    // The reasoning panel stays plain text (pre-wrap) but typesets math
+    function showThought(text) {
+      thoughtContent.innerHTML = text ? Markdown.renderTextWithMath(text) : '';
     }
 
+    // Copy buttons inside rendered code blocks (delegated: message HTML is re-rendered while streaming)
+    messagesContainer.addEventListener('click', async (event) => {
+      const btn = event.target.closest('.copy-code-btn');
+      if (!btn) return;
+      const code = btn.closest('.code-block')?.querySelector('code');
+      if (!code) return;
+      try {
+        await navigator.clipboard.writeText(code.textContent);
+        btn.textContent = 'Copied';
+      } catch (err) {
+        console.warn('Copy failed:', err);
+        btn.textContent = 'Copy failed';
+      }
+      setTimeout(() => { btn.textContent = 'Copy'; }, 1500);
+    });
+
     function updateButtons() {
-        sendBtn.disabled = isGenerating;
+        // A restored conversation can be shown before any model is loaded
+        sendBtn.disabled = isGenerating || !lastLoadedModelId;
         stopBtn.disabled = !isGenerating;
         messageInput.disabled = isGenerating;
+        updateMessageActions();
     }
 
     function sendMessage() {
         const text = messageInput.value.trim();
         if (!text || isGenerating) return;
+        if (!validateGenerationSettings()) return;
+        showGenerationError('');
 
-        appendMessage('user', text);
+        conversation.add('user', text);
         messageInput.value = '';
+        saveCurrentConversation();
+        requestGeneration();
+    }
 
-        // Construct conversation history (simplified for this demo)
-        const history = Array.from(messagesContainer.children).map(div => ({
-            role: div.classList.contains('user') ? 'user' : 'assistant',
-            content: div.dataset?.rawContent ?? div.textContent
-        }));
-
-        worker.postMessage({
-            type: 'generate',
-            data: history
-        });
+    // Ask the worker to answer the selected conversation path.
+    // `options` defaults to the values in the generation settings panel;
+    // `branchOf` names an assistant message to answer again as a new branch.
+    function requestGeneration(options = readGenerationSettings(), { branchOf = null } = {}) {
+        // Conversation history comes from the model, led by the optional system prompt
+        const systemPrompt = systemPromptInput ? systemPromptInput.value.trim() : '';
+        const history = conversation.toChatMessages(systemPrompt, { before: branchOf });
+        pendingReplyBranchOf = branchOf;
+
+        // Busy from now on: the request may wait in the worker's queue before it starts
+        isGenerating = true;
+        updateButtons();
+        const controller = new AbortController();
+        generationController = controller;
+        followRequest('generate', async (onEvent) => {
+            try {
+                for await (const event of client.stream(history, { options, signal: controller.signal })) onEvent(event);
+            } catch (error) {
+                if (!error.response) throw error;
+                onEvent(error.response);
+            }
+        }, () => generationController === controller);
     }
 
     // Toggle Thought Panel Logic
@@ -1019,18 +1568,422 @@ async function initApp() {
     });
 
     stopBtn.addEventListener('click', () => {
-        worker.postMessage({ type: 'interrupt' });
+        if (generationController) generationController.abort();
     });
 
-    resetBtn.addEventListener('click', () => {
-        worker.postMessage({ type: 'reset' });
-        messagesContainer.innerHTML = '';
-        thoughtContent.textContent = '';
+    // Conversation History (IndexedDB)
+    function saveCurrentConversation() {
+        const messages = conversation.serialize();
+        // Deleting every message still updates an already-saved conversation
+        const session = conversationSession;
+        if (!window.ConversationStore || (!messages.length && !session.record && !session.saving)) return saveQueue;
+        // Snapshot now; the write waits for the saves queued before it
+        session.saving = true;
+        const snapshot = {
+            title: conversationTitle(),
+            modelId: lastLoadedModelId || currentModelId,
+            systemPrompt: systemPromptInput ? systemPromptInput.value : '',
+            generationOptions: readGenerationSettings(),
+            messages,
+            tree: conversation.serializeTree(),
+        };
+        saveQueue = saveQueue.then(async () => {
+            try {
+                session.record = await ConversationStore.save({ ...(session.record || {}), ...snapshot });
+                if (session === conversationSession) currentConversation = session.record;
+                refreshConversationList();
+            } catch (err) {
+                console.warn('Saving conversation failed:', err);
+                setHistoryStatus('History unavailable: ' + (err?.message || err));
+            }
+        });
+        return saveQueue;
+    }
+
+    function setHistoryStatus(message) {
+        if (!historyStatus) return;
+        historyStatus.textContent = message || '';
+        historyStatus.classList.toggle('hidden', !message);
+    }
+
+    async function refreshConversationList() {
+        if (!conversationList || !window.ConversationStore) return;
+        let conversations;
+        try {
+            conversations = await ConversationStore.list();
+        } catch (err) {
+            console.warn('Listing conversations failed:', err);
+            setHistoryStatus('History unavailable: ' + (err?.message || err));
+            return;
+        }
+        setHistoryStatus(conversations.length ? '' : 'No saved conversations yet.');
+        conversationList.innerHTML = '';
+        conversations.forEach((c) => {
+            const li = document.createElement('li');
+            li.className = 'conversation-item';
+            if (currentConversation && currentConversation.id === c.id) li.classList.add('active');
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'conversation-open';
+            openBtn.textContent = c.title || 'Untitled';
+            openBtn.title = `${friendlyModelName(c.modelId)} · ${new Date(c.updatedAt).toLocaleString()}`;
+            openBtn.addEventListener('click', () => openConversation(c.id));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn conversation-delete';
+            deleteBtn.textContent = '×';
+            deleteBtn.title = 'Delete conversation';
+            deleteBtn.addEventListener('click', () => deleteConversation(c.id));
+
+            li.appendChild(openBtn);
+            li.appendChild(deleteBtn);
+            conversationList.appendChild(li);
+        });
+    }
+
+    // Clear the chat view and start a new, unsaved conversation
+    function startNewConversation() {
+        client.reset().catch((error) => console.warn('Could not reset the worker cache:', error));
+        currentConversation = null;
+        conversationSession = { record: null };
+        conversation.reset();
+        showThought('');
         tpsStatus.classList.add('hidden');
+        resetSystemPrompt(lastLoadedModelId || currentModelId);
+        refreshConversationList();
+    }
+
+    async function openConversation(id) {
+        if (isGenerating) return;
+        let stored;
+        try {
+            stored = await ConversationStore.get(id);
+        } catch (err) {
+            console.warn('Opening conversation failed:', err);
+            return;
+        }
+        if (!stored) return;
+        startNewConversation();
+        currentConversation = conversationSession.record = stored;
+        conversation.reset(stored.tree || stored.messages || []);
+        const lastThought = [...(stored.messages || [])].reverse().find(m => m.thought);
+        showThought(lastThought ? lastThought.thought : '');
+        if (systemPromptInput) {
+            systemPromptInput.value = stored.systemPrompt || '';
+            systemPromptEdited = true;
+        }
+        if (stored.generationOptions) {
+            applyGenerationSettings({ ...modelGenerationDefaults(lastLoadedModelId || stored.modelId), ...stored.generationOptions });
+        }
+        // Continue with whatever model is loaded; sending stays disabled until one is
+        chatInterface.classList.remove('hidden');
+        updateButtons();
+        refreshConversationList();
+    }
+
+    async function deleteConversation(id) {
+        try {
+            await ConversationStore.remove(id);
+        } catch (err) {
+            console.warn('Deleting conversation failed:', err);
+            return;
+        }
+        if (currentConversation && currentConversation.id === id) {
+            currentConversation = conversationSession.record = null;
+        }
+        refreshConversationList();
+    }
+
+    // Export / Import
+    function conversationTitle() {
+        const firstUser = conversation.getMessages().find(m => m.role === 'user');
+        return (firstUser ? firstUser.content : 'Conversation').replace(/\s+/g, ' ').slice(0, 60);
+    }
+
+    function buildExport() {
+        const modelId = lastLoadedModelId || (currentConversation && currentConversation.modelId) || null;
+        return ConversationExport.toJSON({
+            title: conversationTitle(),
+            model: modelId ? { id: modelId, friendly: friendlyModelName(modelId), dtype: modelId === currentModelId ? currentModelDtype : null } : null,
+            systemPrompt: systemPromptInput ? systemPromptInput.value : '',
+            generationOptions: readGenerationSettings(),
+            messages: conversation.serialize(),
+            tree: conversation.serializeTree(),
+        });
+    }
+
+    function downloadFile(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function exportFilename(extension) {
+        const slug = conversationTitle().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'conversation';
+        return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    }
+
+    function exportConversation(kind) {
+        if (!conversation.getMessages().length) return;
+        const data = buildExport();
+        if (kind === 'markdown') {
+            downloadFile(exportFilename('md'), ConversationExport.toMarkdown(data, { friendlyName: friendlyModelName }), 'text/markdown');
+        } else {
+            downloadFile(exportFilename('json'), JSON.stringify(data, null, 2), 'application/json');
+        }
+    }
+
+    // Restore an exported conversation into the UI and save it as a new conversation
+    async function importConversation(file) {
+        if (isGenerating || !file) return;
+        let data;
+        try {
+            data = ConversationExport.parse(await file.text());
+        } catch (err) {
+            console.warn('Import failed:', err);
+            window.alert(`Import failed: ${err.message}`);
+            return;
+        }
+        startNewConversation();
+        conversation.reset(data.tree || data.messages);
+        const lastThought = data.messages.slice().reverse().find(m => m.thought);
+        showThought(lastThought ? lastThought.thought : '');
+        if (systemPromptInput) {
+            systemPromptInput.value = data.systemPrompt || '';
+            systemPromptEdited = true;
+        }
+        const importedModelId = data.model && data.model.id;
+        applyGenerationSettings({ ...modelGenerationDefaults(lastLoadedModelId || importedModelId), ...(data.generationOptions || {}) });
+        chatInterface.classList.remove('hidden');
+        updateButtons();
+        saveCurrentConversation();
+    }
+
+    if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => exportConversation('json'));
+    if (exportMdBtn) exportMdBtn.addEventListener('click', () => exportConversation('markdown'));
+    if (importJsonBtn && importJsonInput) {
+      importJsonBtn.addEventListener('click', () => importJsonInput.click());
+      importJsonInput.addEventListener('change', () => {
+        importConversation(importJsonInput.files[0]);
+        importJsonInput.value = '';
+      });
+    }
+
+    // A streaming reply would land in the new conversation, so both wait for it to end
+    resetBtn.addEventListener('click', () => {
+      if (!isGenerating) startNewConversation();
     });
+    if (newChatBtn) {
+      newChatBtn.addEventListener('click', () => {
+        if (!isGenerating) startNewConversation();
+      });
+    }
+    refreshConversationList();
 
     toggleThoughtBtn.addEventListener('click', toggleThoughtPanel);
     closeThoughtBtn.addEventListener('click', toggleThoughtPanel);
+
+    if (systemPromptInput) {
+      systemPromptInput.addEventListener('input', () => {
+        systemPromptEdited = true;
+      });
+    }
+
+    if (resetGenerationBtn) {
+      resetGenerationBtn.addEventListener('click', () => {
+        applyGenerationSettings(modelGenerationDefaults(lastLoadedModelId || currentModelId));
+      });
+    }
+
+    // Model cache manager: lists the model files the worker stored in OPFS
+    // and those left in Cache Storage (see public/model_cache.js) and lets the
+    // user free space or pre-download a model without initializing it
+    const cacheManager = document.getElementById('cache-manager');
+    const cacheUsage = document.getElementById('cache-usage');
+    const cacheStatus = document.getElementById('cache-status');
+    const cacheList = document.getElementById('cache-list');
+    const cacheRefreshBtn = document.getElementById('cache-refresh-btn');
+    const cacheDownloadBtn = document.getElementById('cache-download-btn');
+    const cachePurgeBtn = document.getElementById('cache-purge-btn');
+    let cacheDownloadModelId = null;
+
+    function setCacheStatus(text) {
+      if (cacheStatus) cacheStatus.textContent = text || '';
+    }
+
+    async function refreshCacheManager() {
+      if (!cacheList || !window.ModelCache) return;
+      const estimate = await ModelCache.estimate().catch(() => null);
+      if (cacheUsage) {
+        cacheUsage.textContent = estimate
+          ? `Storage: ${ModelCache.formatBytes(estimate.usage)} used of ${ModelCache.formatBytes(estimate.quota)}`
+          : 'Storage usage unavailable';
+      }
+      let models;
+      try {
+        models = await ModelCache.list(Object.keys(MODEL_REGISTRY));
+      } catch (err) {
+        console.warn('Listing cached models failed:', err);
+        setCacheStatus('Model cache unavailable: ' + (err?.message || err));
+        cacheList.innerHTML = '';
+        return;
+      }
+      if (!cacheDownloadModelId) setCacheStatus(models.length ? '' : 'No downloaded models.');
+      cacheList.innerHTML = '';
+      models.forEach((m) => {
+        const li = document.createElement('li');
+        li.className = 'cache-item';
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        const name = document.createElement('span');
+        name.className = 'cache-model-name';
+        name.textContent = friendlyModelName(m.modelId);
+        name.title = m.modelId;
+        const meta = document.createElement('span');
+        meta.className = 'cache-model-meta';
+        meta.textContent = [
+          ModelCache.formatBytes(m.size),
+          m.dtypes.length ? m.dtypes.join(', ') : null,
+          m.lastUsed ? 'last used ' + new Date(m.lastUsed).toLocaleString() : 'never loaded',
+        ].filter(Boolean).join(' · ');
+        summary.appendChild(name);
+        summary.appendChild(meta);
+        details.appendChild(summary);
+
+        const files = document.createElement('ul');
+        files.className = 'cache-files';
+        m.files.forEach((f) => {
+          const fileItem = document.createElement('li');
+          const flags = [f.dtype, f.complete ? null : 'partial, resumes on next download', f.verified ? 'SHA-256 verified' : null].filter(Boolean);
+          fileItem.textContent = `${f.path} — ${ModelCache.formatBytes(f.size)}${flags.length ? ' (' + flags.join(', ') + ')' : ''}`;
+          if (!f.complete) fileItem.classList.add('partial');
+          fileItem.title = f.url;
+          files.appendChild(fileItem);
+        });
+        details.appendChild(files);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'secondary-btn cache-delete';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.title = 'Delete the downloaded files of this model';
+        deleteBtn.disabled = m.modelId === lastLoadedModelId;
+        if (deleteBtn.disabled) deleteBtn.title = 'Unload the model before deleting its files';
+        deleteBtn.addEventListener('click', () => deleteCachedModel(m.modelId));
+
+        li.appendChild(details);
+        li.appendChild(deleteBtn);
+        cacheList.appendChild(li);
+      });
+    }
+
+    async function deleteCachedModel(modelId) {
+      if (cacheDownloadModelId === modelId || (modelLoadInProgress && currentModelId === modelId)) {
+        setCacheStatus(`Wait until ${friendlyModelName(modelId)} has finished downloading or loading.`);
+        return;
+      }
+      if (!confirm(`Delete the downloaded files of ${friendlyModelName(modelId)}?`)) return;
+      try {
+        await ModelCache.removeModel(modelId, Object.keys(MODEL_REGISTRY));
+      } catch (err) {
+        setCacheStatus('Delete failed: ' + (err?.message || err));
+        return;
+      }
+      refreshCacheManager();
+    }
+
+    // The worker must not be reading or writing the files while they are
+    // deleted, so purging waits for loads and downloads and unloads the model
+    async function purgeModelCache() {
+      if (modelLoadInProgress || modelUnloadInProgress || cacheDownloadModelId) {
+        setCacheStatus('Wait until the current model load or download has finished.');
+        return;
+      }
+      const loadedModelId = lastLoadedModelId;
+      const unloadNote = loadedModelId ? ` ${friendlyModelName(loadedModelId)} is unloaded first.` : '';
+      if (!confirm('Delete all downloaded model files? They will be downloaded again when a model is loaded.' + unloadNote)) return;
+      if (loadedModelId) {
+        modelUnloadInProgress = true;
+        updateUnloadButtonLabel();
+        updateLoadButtonLabel();
+        await followRequest('unload', (onEvent) => client.unload({ onEvent }));
+        if (lastLoadedModelId) {
+          setCacheStatus('Delete failed: the model could not be unloaded.');
+          return;
+        }
+      }
+      try {
+        await ModelCache.purge();
+      } catch (err) {
+        setCacheStatus('Delete failed: ' + (err?.message || err));
+        return;
+      }
+      refreshCacheManager();
+    }
+
+    function preDownloadSelectedModel() {
+      const modelId = modelSelect && modelSelect.value;
+      if (!modelId || cacheDownloadModelId) return;
+      if (MODEL_REGISTRY[modelId] && MODEL_REGISTRY[modelId].local) {
+        setCacheStatus('Models loaded from disk are not downloaded.');
+        return;
+      }
+      cacheDownloadModelId = modelId;
+      if (cacheDownloadBtn) cacheDownloadBtn.disabled = true;
+      setCacheStatus(`Downloading ${friendlyModelName(modelId)}...`);
+      const onEvent = ({ status, file, loaded, total }) => {
+        if (status !== 'download_progress') return;
+        setCacheStatus(`Downloading ${friendlyModelName(modelId)}: ${file} ${ModelCache.formatBytes(loaded)}${total ? ' / ' + ModelCache.formatBytes(total) : ''}`);
+      };
+      client.download(modelId, { dtype: selectedDtype(modelId), onEvent }).then(
+        () => finishPreDownload(`${friendlyModelName(modelId)} is downloaded and can be loaded offline.`),
+        (error) => finishPreDownload(`Download of ${friendlyModelName(modelId)} failed: ${error.message}`)
+      );
+    }
+
+    // Resumable download states reported by the worker (see downloadToStore)
+    function showDownloadState(modelId, file, state, detail) {
+      const messages = {
+        paused: `Download paused: ${file} (${detail})`,
+        resumed: `Download resumed: ${file} ${detail}`,
+        corrupted: `${file} is corrupted (${detail}); downloading it again`,
+        verified: `${file} verified (SHA-256)`,
+      };
+      const text = messages[state] || `${file}: ${state}`;
+      if (downloadState) {
+        downloadState.textContent = text;
+        downloadState.className = 'download-state ' + state;
+      }
+      if (cacheDownloadModelId === modelId) setCacheStatus(text);
+    }
+
+    function finishPreDownload(message) {
+      cacheDownloadModelId = null;
+      if (cacheDownloadBtn) cacheDownloadBtn.disabled = false;
+      setCacheStatus(message);
+      refreshCacheManager();
+    }
+
+    // Downloads of loads and pre-downloads alike report their state
+    client.on('download_state', ({ model, file, state, data }) => showDownloadState(model, file, state, data));
+    client.on('ready', ({ model }) => {
+      if (model && window.ModelCache) ModelCache.markUsed(model);
+      if (cacheManager && cacheManager.open) refreshCacheManager();
+    });
+
+    if (cacheManager) {
+      cacheManager.addEventListener('toggle', () => {
+        if (cacheManager.open) refreshCacheManager();
+      });
+    }
+    if (cacheRefreshBtn) cacheRefreshBtn.addEventListener('click', refreshCacheManager);
+    if (cacheDownloadBtn) cacheDownloadBtn.addEventListener('click', preDownloadSelectedModel);
+    if (cachePurgeBtn) cachePurgeBtn.addEventListener('click', purgeModelCache);
 }
 
 initApp();
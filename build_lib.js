@@ -4,26 +4,113 @@ const path = require('path');
 const inputPath = path.join(__dirname, 'public', 'transformers.iife.js');
 const outputPath = path.join(__dirname, 'public', 'transformers_lib.js');
 
-try {
+// ONNX Runtime Web files used by transformers.js 3.8.0 (WebGPU/JSEP build).
+// They are copied next to the library so the workers can resolve them
+// relative to self.transformersBaseUrl instead of a CDN.
+const ORT_FILES = ['ort-wasm-simd-threaded.jsep.wasm', 'ort-wasm-simd-threaded.jsep.mjs'];
+const ortWasmInlinePath = path.join(__dirname, 'public', 'ort_wasm_lib.js');
+
+// The worker logic lives once in src/worker_core.js and is emitted as a
+// standalone worker (public/worker.js) and as a string for the Blob worker
+// that app.js starts (public/worker_lib.js). The message protocol shared with
+// the page (public/worker_protocol.js) is bundled in front of it.
+const workerSourcePaths = [
+    path.join(__dirname, 'public', 'worker_protocol.js'),
+    path.join(__dirname, 'public', 'models.js'),
+    path.join(__dirname, 'src', 'worker_core.js'),
+];
+const standaloneWorkerPath = path.join(__dirname, 'public', 'worker.js');
+const workerInlinePath = path.join(__dirname, 'public', 'worker_lib.js');
+
+// Loads the library next to the standalone worker before the shared code runs
+const STANDALONE_WORKER_PRELUDE = `// Use importScripts for classic worker support (required for file:// protocol).
+// The library is the vendored, patched copy built by build_lib.js
+// (public/transformers_lib.js), so nothing is fetched from a CDN.
+self.transformersBaseUrl = new URL('transformers.iife.js', self.location.href).href;
+importScripts('transformers_lib.js');
+importScripts(URL.createObjectURL(new Blob([TRANSFORMERS_LIB], { type: 'application/javascript' })));
+`;
+
+// Lists the sources from workerSourcePaths, so it stays in step with them
+const workerSourceNames = workerSourcePaths.map((sourcePath) => path.relative(__dirname, sourcePath).split(path.sep).join('/'));
+const GENERATED_NOTICE = '// Generated by build_lib.js from ' + workerSourceNames.slice(0, -1).join(', ') + ' and ' + workerSourceNames[workerSourceNames.length - 1] + '. Do not edit; change the source and rerun `node build_lib.js`.\n';
+
+// Where to look for the ORT dist folder; override with --wasm-dir=<dir>
+const wasmDirArg = process.argv.find((arg) => arg.startsWith('--wasm-dir='));
+const wasmSourceDirs = [
+    wasmDirArg && path.resolve(wasmDirArg.slice('--wasm-dir='.length)),
+    path.join(__dirname, 'node_modules', 'onnxruntime-web', 'dist'),
+    path.join(__dirname, 'node_modules', '@huggingface', 'transformers', 'dist'),
+].filter(Boolean);
+
+// Escape backticks, backslashes and template placeholders so `content` can be
+// embedded in a template literal
+function escapeForTemplate(content) {
+    return content
+        .replace(/\\/g, '\\\\')
+        .replace(/`/g, '\\`')
+        .replace(/\${/g, '\\${');
+}
+
+function buildLib() {
     const content = fs.readFileSync(inputPath, 'utf8');
-    // Escape backticks and backslashes to be safe inside a template literal
-    // Also polyfill import.meta which esbuild leaves empty in IIFE
+    // Polyfill import.meta which esbuild leaves empty in IIFE
     // And suppress "Automatic publicPath" error
     // And patch esbuild's import_meta variable
     // And patch location.origin for blob workers
-    const escapedContent = content
+    // And let ORT use its bundled JS glue when single-threaded, instead of
+    // importing ort-wasm-simd-threaded.jsep.mjs (dynamic import fails in
+    // blob workers started from file://)
+    const patchedContent = content
         .replace(/\s*var import_meta = \{\};/g, 'var import_meta = { url: self.transformersBaseUrl || self.location.href };')
         .replace(/import\.meta/g, '({ url: self.transformersBaseUrl || self.location.href })')
         .replace(/typeof location > "u" \? void 0 : location\.origin/g, '(typeof location > "u" || location.origin === "null") ? void 0 : location.origin')
         .replace(/throw new Error\("Automatic publicPath is not supported in this browser"\)/g, 'console.warn("Automatic publicPath warning suppressed")')
-        .replace(/\\/g, '\\\\')
-        .replace(/`/g, '\\`')
-        .replace(/\${/g, '\\${');
+        .replace(/if \(!e3 && !t3 && Ie2 && ve2 && ke2\(ve2\)\) return \[void 0, Ie2\]/g, 'if (!e3 && !t3 && Ie2 && ve2 && (ke2(ve2) || !n3)) return [void 0, Ie2]');
 
-    const output = `const TRANSFORMERS_LIB = \`${escapedContent}\`;`;
+    const output = `const TRANSFORMERS_LIB = \`${escapeForTemplate(patchedContent)}\`;`;
 
     fs.writeFileSync(outputPath, output);
     console.log('Successfully created transformers_lib.js');
+}
+
+// Copy the ORT files into public/ (skipped when no source folder is found and
+// the files are already vendored)
+function copyWasm() {
+    const sourceDir = wasmSourceDirs.find((dir) => ORT_FILES.every((file) => fs.existsSync(path.join(dir, file))));
+    if (!sourceDir) {
+        const missing = ORT_FILES.filter((file) => !fs.existsSync(path.join(__dirname, 'public', file)));
+        if (missing.length) {
+            throw new Error('ONNX Runtime files not found (' + missing.join(', ') + '). Install onnxruntime-web or pass --wasm-dir=<onnxruntime-web/dist>');
+        }
+        console.log('Using ONNX Runtime files already in public/');
+        return;
+    }
+    ORT_FILES.forEach((file) => fs.copyFileSync(path.join(sourceDir, file), path.join(__dirname, 'public', file)));
+    console.log('Copied ONNX Runtime files from ' + sourceDir);
+}
+
+// Pages opened from file:// cannot fetch the .wasm, so the binary is also
+// written as base64 into a script the page can load with a <script> tag
+function inlineWasm() {
+    const wasm = fs.readFileSync(path.join(__dirname, 'public', ORT_FILES[0]));
+    fs.writeFileSync(ortWasmInlinePath, `const ORT_WASM_BASE64 = '${wasm.toString('base64')}';`);
+    console.log('Successfully created ort_wasm_lib.js');
+}
+
+function buildWorker() {
+    const core = workerSourcePaths.map((sourcePath) => fs.readFileSync(sourcePath, 'utf8')).join('\n');
+    fs.writeFileSync(standaloneWorkerPath, GENERATED_NOTICE + STANDALONE_WORKER_PRELUDE + '\n' + core);
+    console.log('Successfully created worker.js');
+    fs.writeFileSync(workerInlinePath, GENERATED_NOTICE + `const WORKER_CODE = \`${escapeForTemplate(core)}\`;\n`);
+    console.log('Successfully created worker_lib.js');
+}
+
+try {
+    buildWorker();
+    buildLib();
+    copyWasm();
+    inlineWasm();
 } catch (err) {
     console.error('Error processing file:', err);
     process.exit(1);
@@ -0,0 +1,131 @@
+(function(global){
+  // Conversation export/import.
+  // JSON exports follow a versioned schema so transcripts can be shared and
+  // restored later:
+  //   {
+  //     format: 'onnx-transformers-chat', version: 1, exportedAt,
+  //     title, model: { id, friendly, dtype }, systemPrompt, generationOptions,
+  //     messages: [{ role, content, thought, metadata: { modelId, dtype, tps, numTokens } }],
+  //     tree: { nodes: [...] }   // optional, every branch of the conversation
+  //   }
+  // `messages` is the selected branch and is always present; `tree` is used
+  // when available so alternative branches survive a round trip.
+  const FORMAT = 'onnx-transformers-chat';
+  const VERSION = 1;
+  const ROLES = ['system', 'user', 'assistant'];
+
+  function toJSON({ title, model, systemPrompt, generationOptions, messages, tree }) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      title: title || '',
+      model: model || null,
+      systemPrompt: systemPrompt || '',
+      generationOptions: generationOptions || {},
+      messages: messages || [],
+      tree: tree || null,
+    };
+  }
+
+  function formatStats(metadata) {
+    const parts = [];
+    if (metadata.modelId) parts.push(metadata.modelId + (metadata.dtype ? ' (' + metadata.dtype + ')' : ''));
+    if (typeof metadata.tps === 'number') parts.push(metadata.tps.toFixed(2) + ' tokens/s');
+    if (typeof metadata.numTokens === 'number') parts.push(metadata.numTokens + ' tokens');
+    return parts.join(' · ');
+  }
+
+  // Human-readable transcript of the selected branch
+  function toMarkdown(data, { friendlyName = (id) => id } = {}) {
+    const lines = ['# ' + (data.title || 'Conversation'), ''];
+    if (data.model && data.model.id) {
+      lines.push('- Model: ' + (data.model.friendly || data.model.id) + ' (`' + data.model.id + '`' + (data.model.dtype ? ', ' + data.model.dtype : '') + ')');
+    }
+    lines.push('- Exported: ' + (data.exportedAt || new Date().toISOString()));
+    const options = data.generationOptions || {};
+    const optionText = Object.keys(options).map((k) => k + '=' + options[k]).join(', ');
+    if (optionText) lines.push('- Generation: ' + optionText);
+    lines.push('');
+    if (data.systemPrompt) {
+      lines.push('## System', '', data.systemPrompt, '');
+    }
+    (data.messages || []).forEach((m) => {
+      const metadata = m.metadata || {};
+      const heading = m.role === 'assistant' ? (metadata.modelId ? friendlyName(metadata.modelId) : 'Assistant') : (m.role === 'user' ? 'User' : 'System');
+      lines.push('## ' + heading, '');
+      if (m.thought) {
+        lines.push('<details><summary>Thoughts</summary>', '', m.thought, '', '</details>', '');
+      }
+      lines.push(m.content || '', '');
+      const stats = m.role === 'assistant' ? formatStats(metadata) : '';
+      if (stats) lines.push('_' + stats + '_', '');
+    });
+    return lines.join('\n');
+  }
+
+  function isMessage(m) {
+    return m && typeof m === 'object' && ROLES.includes(m.role) && typeof m.content === 'string';
+  }
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // Expected type of each metadata field; other values are dropped on import
+  const METADATA_TYPES = { modelId: 'string', dtype: 'string', tps: 'number', numTokens: 'number' };
+
+  // Copy of an imported message whose optional fields have the types the
+  // renderer and the Markdown export rely on; malformed ones are dropped
+  function cleanMessage(m) {
+    const message = { ...m };
+    if (typeof message.thought !== 'string') delete message.thought;
+    if (!isPlainObject(message.metadata)) {
+      delete message.metadata;
+    } else {
+      const metadata = {};
+      Object.entries(message.metadata).forEach(([key, value]) => {
+        const type = METADATA_TYPES[key];
+        if (type ? typeof value === type && (type !== 'number' || Number.isFinite(value)) : true) metadata[key] = value;
+      });
+      message.metadata = metadata;
+    }
+    return message;
+  }
+
+  // Parse and validate exported JSON text; throws an Error describing the
+  // problem. Malformed `thought` and `metadata` fields are dropped.
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error('Not a JSON file: ' + e.message);
+    }
+    if (!data || data.format !== FORMAT) {
+      throw new Error('Unrecognized file: expected format "' + FORMAT + '"');
+    }
+    if (typeof data.version !== 'number' || data.version > VERSION) {
+      throw new Error('Unsupported export version ' + data.version + ' (this page reads up to version ' + VERSION + ')');
+    }
+    if (!Array.isArray(data.messages) || !data.messages.every(isMessage)) {
+      throw new Error('Invalid export: "messages" must be a list of { role, content } objects');
+    }
+    if (data.tree && !(Array.isArray(data.tree.nodes) && data.tree.nodes.every(isMessage))) {
+      throw new Error('Invalid export: "tree.nodes" must be a list of messages');
+    }
+    data.messages = data.messages.map(cleanMessage);
+    if (data.tree) data.tree = { ...data.tree, nodes: data.tree.nodes.map(cleanMessage) };
+    return data;
+  }
+
+  const ConversationExport = { FORMAT, VERSION, toJSON, toMarkdown, parse };
+
+  try {
+    if (typeof window !== 'undefined') window.ConversationExport = ConversationExport;
+    if (typeof self !== 'undefined') self.ConversationExport = ConversationExport;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,98 @@
+(function(global){
+  // Persistent conversation history backed by IndexedDB.
+  // Each record looks like:
+  //   { id, title, modelId, systemPrompt, generationOptions,
+  //     messages: [{ role, content, thought, metadata }],  // selected branch
+  //     tree: { nodes: [...] },                             // every branch
+  //     createdAt, updatedAt }
+  // All methods return promises; they reject when IndexedDB is unavailable
+  // (e.g. private browsing modes that disable storage).
+  const DB_NAME = 'onnx-transformers-chat';
+  const DB_VERSION = 1;
+  const STORE = 'conversations';
+
+  let dbPromise = null;
+
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+  }
+
+  async function withStore(mode, fn) {
+    const db = await open();
+    const tx = db.transaction(STORE, mode);
+    // Attach completion handlers before awaiting so the event cannot be missed
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await requestToPromise(fn(tx.objectStore(STORE)));
+    await done;
+    return result;
+  }
+
+  function createId() {
+    if (global.crypto && typeof global.crypto.randomUUID === 'function') return global.crypto.randomUUID();
+    return 'c-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+  }
+
+  // Summaries for the sidebar, most recently updated first
+  async function list() {
+    const records = await withStore('readonly', (store) => store.getAll());
+    return records
+      .map((c) => ({ id: c.id, title: c.title, modelId: c.modelId, createdAt: c.createdAt, updatedAt: c.updatedAt, messageCount: (c.messages || []).length }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async function get(id) {
+    return (await withStore('readonly', (store) => store.get(id))) || null;
+  }
+
+  // Insert or update a conversation; assigns id/createdAt on first save
+  async function save(conversation) {
+    const now = Date.now();
+    const record = { ...conversation, id: conversation.id || createId(), createdAt: conversation.createdAt || now, updatedAt: now };
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+  }
+
+  async function remove(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+  }
+
+  const ConversationStore = { open, list, get, save, remove };
+
+  try {
+    if (typeof window !== 'undefined') window.ConversationStore = ConversationStore;
+    if (typeof self !== 'undefined') self.ConversationStore = ConversationStore;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
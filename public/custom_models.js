@@ -0,0 +1,159 @@
+(function(global){
+  // Models the user adds at runtime through the "Add Model" dialog.
+  // Entries are kept in localStorage as { [modelId]: entry } with the same
+  // fields as MODEL_REGISTRY entries plus `custom: true`, e.g.
+  //   'onnx-community/SmolLM2-360M-Instruct-ONNX':
+  //     { friendly: 'SmolLM2 360M', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp32'],
+  //       thinking: false, revision: 'main', custom: true }
+  // Mirrors that are not the Hugging Face hub are stored with their own
+  // `remoteHost` and `remotePathTemplate: '{model}/'`.
+  // Built-in entries always win over custom entries with the same id.
+  const STORAGE_KEY = 'onnx-transformers-chat:custom-models';
+  const HUB_HOSTS = ['huggingface.co', 'www.huggingface.co', 'hf.co'];
+
+  function readAll() {
+    try {
+      const stored = JSON.parse(global.localStorage.getItem(STORAGE_KEY));
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writeAll(entries) {
+    global.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  }
+
+  // Saved entries, { [modelId]: entry }
+  function list() {
+    return readAll();
+  }
+
+  function save(modelId, entry) {
+    const entries = readAll();
+    entries[modelId] = { ...entry, custom: true };
+    writeAll(entries);
+    return entries[modelId];
+  }
+
+  function remove(modelId) {
+    const entries = readAll();
+    delete entries[modelId];
+    writeAll(entries);
+  }
+
+  // Add saved entries to a registry object; returns the ids that were added
+  function mergeInto(registry) {
+    const added = [];
+    Object.entries(readAll()).forEach(([modelId, entry]) => {
+      if (registry[modelId] && !registry[modelId].custom) return;
+      registry[modelId] = { ...entry, custom: true };
+      added.push(modelId);
+    });
+    return added;
+  }
+
+  // Accepts "org/name", "https://huggingface.co/org/name[/tree/<revision>]"
+  // or the URL of a repo folder on another server, and returns
+  // { modelId, revision?, remoteHost?, remotePathTemplate? }
+  function parseRepo(input) {
+    const text = String(input || '').trim();
+    if (!text) throw new Error('Enter a repo id or URL');
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) {
+      const id = text.replace(/^\/+|\/+$/g, '');
+      if (!/^[\w.-]+\/[\w.-]+$/.test(id)) throw new Error('Expected a repo id like "org/model-name"');
+      return { modelId: id };
+    }
+    let url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      throw new Error('Not a valid URL: ' + text);
+    }
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (HUB_HOSTS.includes(url.hostname)) {
+      if (segments.length < 2) throw new Error('Expected a model URL like https://huggingface.co/org/model-name');
+      const parsed = { modelId: segments[0] + '/' + segments[1] };
+      if ((segments[2] === 'tree' || segments[2] === 'resolve' || segments[2] === 'blob') && segments[3]) parsed.revision = segments[3];
+      return parsed;
+    }
+    if (segments.length < 1) throw new Error('Expected the URL of a model folder');
+    return {
+      modelId: segments.join('/'),
+      remoteHost: url.origin + '/',
+      remotePathTemplate: '{model}/',
+    };
+  }
+
+  // URL of one file of a model, mirroring the worker's modelFileUrl()
+  function fileUrl(modelId, path, source) {
+    const resolved = { ...(global.MODEL_SOURCE_DEFAULTS || {}), ...(source || {}) };
+    const folder = resolved.remotePathTemplate
+      .replaceAll('{model}', modelId)
+      .replaceAll('{revision}', encodeURIComponent(resolved.revision || 'main'));
+    return resolved.remoteHost.replace(/\/$/, '') + '/' + folder.replace(/^\/|\/$/g, '') + '/' + path;
+  }
+
+  async function fetchJson(url) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (e) {
+      throw new Error('Could not reach ' + url + ' (' + e.message + ')');
+    }
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(url + ' returned HTTP ' + response.status);
+    try {
+      return await response.json();
+    } catch (e) {
+      throw new Error(url + ' is not valid JSON');
+    }
+  }
+
+  async function exists(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD' });
+      return response.ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Check that a repo looks like a transformers.js ONNX export and find out
+  // which dtype variants it ships:
+  // { modelId, name, dtypes, dtype, thinking, modelType, source }
+  async function probe(parsed, source) {
+    const resolved = { ...source };
+    ['revision', 'remoteHost', 'remotePathTemplate'].forEach((key) => {
+      if (parsed[key]) resolved[key] = parsed[key];
+    });
+    const url = (path) => fileUrl(parsed.modelId, path, resolved);
+    const config = await fetchJson(url('config.json'));
+    if (!config) throw new Error('No config.json found at ' + url('config.json'));
+    const tokenizerConfig = await fetchJson(url('tokenizer_config.json')).catch(() => null);
+    const suffixes = global.LocalModels.DTYPE_SUFFIXES;
+    const found = await Promise.all(suffixes.map(([suffix]) => exists(url('onnx/model' + suffix + '.onnx'))));
+    const dtypes = suffixes.filter((_, i) => found[i]).map(([, dtype]) => dtype);
+    if (!dtypes.length) throw new Error('No onnx/model*.onnx files found; is this an ONNX export?');
+    const template = tokenizerConfig && typeof tokenizerConfig.chat_template === 'string' ? tokenizerConfig.chat_template : '';
+    return {
+      modelId: parsed.modelId,
+      name: parsed.modelId.split('/').pop(),
+      dtypes,
+      dtype: dtypes[0],
+      thinking: template.includes('<think>'),
+      modelType: config.model_type || '',
+      source: resolved,
+    };
+  }
+
+  const CustomModels = { STORAGE_KEY, list, save, remove, mergeInto, parseRepo, fileUrl, probe };
+
+  try {
+    if (typeof window !== 'undefined') window.CustomModels = CustomModels;
+    if (typeof self !== 'undefined') self.CustomModels = CustomModels;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
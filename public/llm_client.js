@@ -0,0 +1,332 @@
+(function(global){
+  // Framework-agnostic client for the model worker, so any page can run the
+  // models without the demo UI:
+  //   const client = createLLMClient({ registry: MODEL_REGISTRY, baseUrl: 'https://example.com/chat/' });
+  //   await client.load('onnx-community/Qwen3-0.6B-ONNX');
+  //   const { output } = await client.chat([{ role: 'user', content: 'Hi' }]);
+  //   for await (const event of client.stream(messages, { options: { temperature: 0.7 } })) {
+  //     if (event.status === 'update') render(event.output);
+  //   }
+  // `baseUrl` is the folder that holds public/ (default: the page's folder).
+  // The page loads public/transformers_lib.js, public/worker_lib.js,
+  // public/worker_protocol.js and public/models.js first; pages opened from
+  // file:// also get public/ort_wasm_lib.js, which is loaded on demand.
+  // Pass `worker` to use a Worker created elsewhere (e.g. public/worker.js).
+  // Methods return promises settled by the terminal response of their request
+  // (see public/worker_protocol.js); a `failed` response rejects with an Error
+  // whose `response` is the message. `onEvent` options receive every response
+  // of the request, the terminal one included.
+  // Events: on(status, listener) for any response status ('progress_total',
+  // 'load_attempt', 'download_state', 'queue_status', ...) or '*' for all of
+  // them; it returns a function that removes the listener.
+  const HELLO_TIMEOUT = 20000;
+
+  // Source of the Blob worker: the inlined library (TRANSFORMERS_LIB) followed
+  // by the generated worker code (WORKER_CODE). Blob workers avoid the
+  // "SecurityError" of starting a worker from a file:// URL.
+  const workerSource = (baseUrl) => `
+// Define base URL for the library to resolve relative paths correctly
+// This is critical for file:// protocol support where relative paths fail in Blob workers
+self.transformersBaseUrl = '${baseUrl}';
+self.ORT_WASM_BASE64 = ${typeof ORT_WASM_BASE64 === 'string' ? "'" + ORT_WASM_BASE64 + "'" : 'null'};
+
+// Inlined transformers library
+// This variable is injected by the build script and contains the bundled library
+${TRANSFORMERS_LIB}
+
+// Shared worker logic (public/worker_protocol.js + public/models.js + src/worker_core.js)
+${WORKER_CODE}
+`;
+
+  // Load a classic script by URL (works from file://, unlike fetch)
+  function loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error('Failed to load ' + src));
+      document.head.appendChild(script);
+    });
+  }
+
+  function requestError(response) {
+    return Object.assign(new Error(response.error), { response });
+  }
+
+  function withTimeout(promise, ms, message) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  function createLLMClient({ registry = global.MODEL_REGISTRY, baseUrl, worker: providedWorker } = {}) {
+    const Protocol = global.WorkerProtocol;
+    let base = new URL(baseUrl || '.', global.location.href).href;
+    if (!base.endsWith('/')) base += '/';
+    let models = registry || {};
+    let worker = null;
+    // request id -> { resolve, reject, onEvent }
+    const pending = new Map();
+    // status (or '*') -> Set of listeners
+    const listeners = new Map();
+    // Event queues of the running stream() loops, so terminate() can end them
+    const streams = new Set();
+    let terminated = false;
+
+    function emit(message) {
+      [message.status, '*'].forEach((key) => {
+        (listeners.get(key) || []).forEach((listener) => listener(message));
+      });
+    }
+
+    function handleMessage(e) {
+      const message = e.data;
+      const invalid = Protocol.validateResponse(message);
+      if (invalid) {
+        console.warn('Ignoring malformed worker message:', invalid, message);
+        return;
+      }
+      const entry = message.id ? pending.get(message.id) : null;
+      if (entry) {
+        if (entry.onEvent) entry.onEvent(message);
+        if (Protocol.isTerminal(message.request, message.status)) {
+          pending.delete(message.id);
+          if (message.status === 'failed') entry.reject(requestError(message));
+          else entry.resolve(message);
+        }
+      }
+      emit(message);
+    }
+
+    // Post a request right away: { id, response } where response settles
+    // with the terminal message
+    function post(type, data, onEvent) {
+      if (terminated) throw new Error('The client was terminated');
+      const message = Protocol.createRequest(type, data);
+      const response = new Promise((resolve, reject) => pending.set(message.id, { resolve, reject, onEvent }));
+      worker.postMessage(message);
+      return { id: message.id, response };
+    }
+
+    // Object URL of the Blob worker's script, revoked after the handshake
+    let workerUrl = null;
+
+    function revokeWorkerUrl() {
+      if (workerUrl) URL.revokeObjectURL(workerUrl);
+      workerUrl = null;
+    }
+
+    async function start() {
+      if (providedWorker) {
+        worker = providedWorker;
+      } else {
+        // Blob workers on file:// pages cannot fetch the vendored .wasm, so
+        // load the inlined copy (defines ORT_WASM_BASE64) and hand it over
+        if (global.location.protocol === 'file:' && typeof ORT_WASM_BASE64 === 'undefined') {
+          try {
+            await loadScript(base + 'public/ort_wasm_lib.js');
+          } catch (e) {
+            console.warn('Inlined ONNX Runtime WASM not found; run `node build_lib.js` to create public/ort_wasm_lib.js');
+          }
+        }
+        // terminate() was called while the script loaded
+        if (terminated) throw new Error('The client was terminated');
+        const blob = new Blob([workerSource(base + 'public/transformers.iife.js')], { type: 'application/javascript' });
+        workerUrl = URL.createObjectURL(blob);
+        worker = new Worker(workerUrl);
+      }
+      worker.addEventListener('message', handleMessage);
+      // Capability handshake: a worker built from older sources never answers
+      // "hello" or answers with another protocol version. Once it answers,
+      // the worker has loaded its script and the object URL can go.
+      const hello = await withTimeout(post('hello', { protocol: Protocol.PROTOCOL_VERSION }).response, HELLO_TIMEOUT,
+        'The model worker is out of date (no answer to the protocol handshake). Run `node build_lib.js` and reload.')
+        .finally(revokeWorkerUrl);
+      const missing = Object.keys(Protocol.REQUESTS).filter((type) => !(hello.requests || []).includes(type));
+      if (hello.protocol !== Protocol.PROTOCOL_VERSION || missing.length) {
+        const reason = hello.protocol !== Protocol.PROTOCOL_VERSION ? 'protocol ' + hello.protocol + ', expected ' + Protocol.PROTOCOL_VERSION : 'missing ' + missing.join(', ');
+        throw new Error('The model worker is out of date (' + reason + '). Run `node build_lib.js` and reload.');
+      }
+      await post('model_registry', models).response;
+      return { protocol: hello.protocol, requests: hello.requests, webgpu: hello.webgpu, opfs: hello.opfs };
+    }
+
+    // Resolves with the worker's capabilities once the handshake is done
+    const ready = start();
+
+    async function request(type, data, onEvent) {
+      await ready;
+      return post(type, data, onEvent).response;
+    }
+
+    // Download location for a model: MODEL_SOURCE_DEFAULTS < registry entry.
+    // A relative remoteHost is resolved against baseUrl, since the blob
+    // worker has no usable base URL of its own.
+    function modelSource(modelId) {
+      const entry = models[modelId] || {};
+      const defaults = global.MODEL_SOURCE_DEFAULTS || {};
+      const source = {};
+      ['remoteHost', 'remotePathTemplate', 'revision'].forEach((key) => {
+        const value = entry[key] !== undefined ? entry[key] : defaults[key];
+        if (value !== undefined && value !== null && value !== '') source[key] = String(value);
+      });
+      if (source.remoteHost) {
+        source.remoteHost = new URL(source.remoteHost, base).href;
+        if (!source.remoteHost.endsWith('/')) source.remoteHost += '/';
+      }
+      return source;
+    }
+
+    // Replace the registry (e.g. after adding a custom model)
+    function setRegistry(next) {
+      models = next || {};
+      return request('model_registry', models);
+    }
+
+    // Serve a model from picked files: [{ path, file }] (see LocalModels)
+    function addLocalModel(modelId, files) {
+      return request('local_model', { model_id: modelId, files });
+    }
+
+    // Load a model and resolve with { model, device, dtype } of the
+    // configuration that worked. device/dtype default to the registry entry
+    // (WebGPU when available); fallbacks to the entry's fallback ladder.
+    async function load(modelId, { device, dtype, fallbacks, source, onEvent } = {}) {
+      const capabilities = await ready;
+      const entry = models[modelId] || {};
+      const devices = capabilities.webgpu ? null : ['wasm'];
+      const startDevice = device || (capabilities.webgpu && (!entry.devices || entry.devices.includes('webgpu')) ? 'webgpu' : 'wasm');
+      const startDtype = dtype || entry.dtype;
+      const ladder = fallbacks || (Array.isArray(entry.devices) && global.modelFallbackLadder
+        ? global.modelFallbackLadder(entry, { device: startDevice, dtype: startDtype }, devices)
+        : null);
+      // Posted together: the worker runs model requests in arrival order, so
+      // this load cannot pick up the set_model of a concurrent load() call
+      const changed = post('set_model', { model_id: modelId, dtype: startDtype, device: startDevice, fallbacks: ladder, source: source || modelSource(modelId) }, onEvent).response;
+      const loading = post('load', undefined, onEvent).response;
+      loading.catch(() => {}); // a set_model failure is reported first
+      await changed;
+      const loaded = await loading;
+      return { model: loaded.model, device: loaded.device, dtype: loaded.dtype };
+    }
+
+    // Every response of one generation: queued, start, update (with the
+    // answer so far as `output`, `thought`, `tps`, `numTokens`), token_debug
+    // and finally complete or cancelled. `options` are generation options
+    // (GENERATION_DEFAULTS), `priority` orders the worker's queue and aborting
+    // `signal` cancels the generation. Leaving the loop early cancels the
+    // generation too.
+    async function* stream(messages, { options = {}, priority, signal } = {}) {
+      await ready;
+      const events = [];
+      let wake = null;
+      const push = (message) => {
+        events.push(message);
+        if (wake) wake();
+      };
+      const { id, response } = post('generate', priority === undefined ? { messages, options } : { messages, options, priority }, push);
+      response.catch(() => {}); // failures are thrown from the loop below
+      streams.add(push);
+      let finished = false;
+      const abort = () => { interrupt(id).catch(() => {}); };
+      if (signal) {
+        if (signal.aborted) abort();
+        else signal.addEventListener('abort', abort, { once: true });
+      }
+      try {
+        for (;;) {
+          while (!events.length) await new Promise((resolve) => { wake = resolve; });
+          wake = null;
+          const event = events.shift();
+          if (event.status === 'failed') {
+            finished = true;
+            throw requestError(event);
+          }
+          if (Protocol.isTerminal('generate', event.status)) finished = true;
+          yield event;
+          if (finished) return;
+        }
+      } finally {
+        streams.delete(push);
+        if (signal) signal.removeEventListener('abort', abort);
+        if (!finished && !terminated) abort();
+      }
+    }
+
+    // The answer of one generation: { output, thought, tps, numTokens, cancelled }
+    async function chat(messages, options = {}) {
+      const result = { output: '', thought: '', tps: null, numTokens: 0, cancelled: false };
+      for await (const event of stream(messages, options)) {
+        if (event.status === 'update') {
+          result.output = event.output || '';
+          result.thought = event.thought || '';
+          result.tps = event.tps || null;
+          result.numTokens = event.numTokens || 0;
+        } else if (event.status === 'cancelled') {
+          result.cancelled = true;
+        }
+      }
+      return result;
+    }
+
+    // Cancel one generation (queued or running) by request id, or the
+    // running one; resolves with the ids that were cancelled
+    async function interrupt(id) {
+      return (await request('interrupt', id ? { id } : undefined)).cancelled;
+    }
+
+    async function unload({ onEvent } = {}) {
+      await request('unload', undefined, onEvent);
+    }
+
+    // Drop the cached KV state, e.g. after the conversation was edited
+    async function reset() {
+      await request('reset');
+    }
+
+    // { running, queued, blocked } of the worker's generation queue
+    async function queue() {
+      const { running, queued, blocked } = await request('queue');
+      return { running, queued, blocked };
+    }
+
+    // Fetch a model's files without loading it; resolves with the file list
+    async function download(modelId, { dtype, source, onEvent } = {}) {
+      const entry = models[modelId] || {};
+      const response = await request('download', { model_id: modelId, dtype: dtype || entry.dtype, source: source || modelSource(modelId) }, onEvent);
+      return response.data;
+    }
+
+    function on(status, listener) {
+      if (!listeners.has(status)) listeners.set(status, new Set());
+      listeners.get(status).add(listener);
+      return () => listeners.get(status).delete(listener);
+    }
+
+    // Stop the worker; requests still in flight are rejected and running
+    // stream() loops throw
+    function terminate() {
+      if (terminated) return;
+      terminated = true;
+      if (worker) worker.terminate();
+      revokeWorkerUrl();
+      pending.forEach(({ reject }) => reject(new Error('The client was terminated')));
+      pending.clear();
+      const failed = Protocol.createResponse({ id: null, type: 'generate' }, 'failed', { error: 'The client was terminated' });
+      streams.forEach((push) => push(failed));
+      streams.clear();
+    }
+
+    return { ready, load, chat, stream, interrupt, unload, reset, queue, download, addLocalModel, setRegistry, modelSource, on, terminate };
+  }
+
+  try {
+    if (typeof window !== 'undefined') window.createLLMClient = createLLMClient;
+    if (typeof self !== 'undefined') self.createLLMClient = createLLMClient;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
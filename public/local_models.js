@@ -0,0 +1,130 @@
+(function(global){
+  // Models loaded from disk instead of the Hugging Face hub.
+  // The user picks a folder (or drops files/folders) holding an ONNX export:
+  //   config.json, tokenizer.json, tokenizer_config.json, onnx/model_<dtype>.onnx
+  // The picked File objects are posted to the worker, which serves them to
+  // transformers.js through its custom cache, so nothing is uploaded.
+  // Files are described as [{ path, file }] with paths relative to the folder
+  // that contains config.json.
+
+  // ONNX file suffix -> transformers.js dtype, in order of preference
+  const DTYPE_SUFFIXES = [
+    ['_q4f16', 'q4f16'],
+    ['_q4', 'q4'],
+    ['_fp16', 'fp16'],
+    ['_quantized', 'q8'],
+    ['_int8', 'int8'],
+    ['_uint8', 'uint8'],
+    ['_bnb4', 'bnb4'],
+    ['', 'fp32'],
+  ];
+
+  const MODEL_FILE_RE = /^onnx\/model(_[a-z0-9]+)?\.onnx$/;
+
+  // dtype of an ONNX weights file such as "onnx/model_q4f16.onnx" (or its
+  // external data "onnx/model_q4f16.onnx_data"), or null for other files
+  function dtypeForFile(path) {
+    const m = String(path).match(/(?:^|\/)[^/]*?(_[a-z0-9]+)?\.onnx(?:_data(?:_\d+)?)?$/);
+    if (!m) return null;
+    const match = DTYPE_SUFFIXES.find(([suffix]) => suffix === (m[1] || ''));
+    return match ? match[1] : null;
+  }
+
+  // From an <input type="file" webkitdirectory> (or multiple) selection
+  function fromFileList(fileList) {
+    return Array.from(fileList || []).map((file) => ({ path: file.webkitRelativePath || file.name, file }));
+  }
+
+  function readEntries(reader) {
+    return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  }
+
+  async function collectEntry(entry, out) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      out.push({ path: entry.fullPath.replace(/^\//, ''), file });
+      return;
+    }
+    const reader = entry.createReader();
+    // readEntries returns at most ~100 entries per call
+    let batch;
+    while ((batch = await readEntries(reader)).length) {
+      for (const child of batch) await collectEntry(child, out);
+    }
+  }
+
+  // From a drop event; folders are walked recursively
+  async function fromDataTransfer(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .map((item) => (item.kind === 'file' && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+      .filter(Boolean);
+    if (!entries.length) return fromFileList(dataTransfer.files);
+    const out = [];
+    for (const entry of entries) await collectEntry(entry, out);
+    return out;
+  }
+
+  function isModelDrop(dataTransfer) {
+    return !!dataTransfer && Array.from(dataTransfer.types || []).includes('Files');
+  }
+
+  // Re-root the files at the folder holding config.json and move loose .onnx
+  // files into onnx/, where transformers.js looks for them
+  function normalize(files) {
+    const configs = files.filter((f) => f.path === 'config.json' || f.path.endsWith('/config.json'));
+    if (!configs.length) throw new Error('No config.json found in the selected files');
+    const configPath = configs.map((f) => f.path).sort((x, y) => x.length - y.length)[0];
+    const root = configPath.slice(0, configPath.length - 'config.json'.length);
+    const rooted = files
+      .filter((f) => f.path.startsWith(root))
+      .map((f) => ({ path: f.path.slice(root.length), file: f.file }));
+    const hasOnnxFolder = rooted.some((f) => f.path.startsWith('onnx/'));
+    return {
+      root: root.replace(/\/$/, ''),
+      files: hasOnnxFolder ? rooted : rooted.map((f) => (/^[^/]+\.onnx(_data(_\d+)?)?$/.test(f.path) ? { path: 'onnx/' + f.path, file: f.file } : f)),
+    };
+  }
+
+  async function readJson(files, path) {
+    const entry = files.find((f) => f.path === path);
+    if (!entry) return null;
+    try {
+      return JSON.parse(await entry.file.text());
+    } catch (e) {
+      throw new Error(path + ' is not valid JSON: ' + e.message);
+    }
+  }
+
+  // Validate a selection and derive what the registry needs:
+  // { modelId, name, files, dtypes, dtype, thinking, modelType }
+  async function describe(selection) {
+    const { root, files } = normalize(selection);
+    const config = await readJson(files, 'config.json');
+    const tokenizerConfig = await readJson(files, 'tokenizer_config.json');
+    if (!files.some((f) => f.path === 'tokenizer.json')) throw new Error('No tokenizer.json found next to config.json');
+    const suffixes = files.map((f) => f.path.match(MODEL_FILE_RE)).filter(Boolean).map((m) => m[1] || '');
+    const dtypes = DTYPE_SUFFIXES.filter(([suffix]) => suffixes.includes(suffix)).map(([, dtype]) => dtype);
+    if (!dtypes.length) throw new Error('No onnx/model*.onnx file found');
+    const name = root.split('/').pop() || String((config && config._name_or_path) || 'model').split('/').pop();
+    const template = tokenizerConfig && typeof tokenizerConfig.chat_template === 'string' ? tokenizerConfig.chat_template : '';
+    return {
+      modelId: 'local/' + name.replace(/[^\w.-]+/g, '-'),
+      name,
+      files,
+      dtypes,
+      dtype: dtypes[0],
+      thinking: template.includes('<think>'),
+      modelType: (config && config.model_type) || '',
+    };
+  }
+
+  const LocalModels = { DTYPE_SUFFIXES, dtypeForFile, fromFileList, fromDataTransfer, isModelDrop, describe };
+
+  try {
+    if (typeof window !== 'undefined') window.LocalModels = LocalModels;
+    if (typeof self !== 'undefined') self.LocalModels = LocalModels;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
@@ -0,0 +1,482 @@
+(function(global){
+  // Small, safe Markdown renderer for assistant output.
+  // - Every piece of model text is HTML-escaped before any markup is added, so
+  //   raw HTML from the model is always shown as text.
+  // - Supports headings, paragraphs, ordered/unordered (nested) lists,
+  //   blockquotes, tables, horizontal rules, fenced code blocks (with syntax
+  //   highlighting and a copy button), inline code, bold/italic/strikethrough
+  //   and links (http, https, mailto and relative URLs only).
+  // - Typesets LaTeX math ($..$, \(..\), $$..$$, \[..\] and bare \boxed{})
+  //   with the locally bundled KaTeX, falling back to the TeX source.
+  // - Copes with partially streamed input: an unterminated code fence renders
+  //   as an open code block, and half-typed markup stays plain text.
+  // - Rendering is incremental: finished top-level blocks are cached by their
+  //   source text, so each streaming update only re-renders the last block.
+
+  function escapeHtml(unsafe) {
+    return String(unsafe)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Syntax highlighting
+  // ---------------------------------------------------------------------------
+
+  const KEYWORDS = {
+    js: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+    ts: 'abstract any as async await boolean break case catch class const continue declare default do else enum export extends false finally for from function if implements import in instanceof interface let namespace never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield',
+    python: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return self try while with yield',
+    bash: 'case do done echo elif else esac exit export fi for function if in local read return then until while',
+    c: 'auto bool break case char class const continue default delete do double else enum extern false float for goto if include inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this true typedef union unsigned using virtual void volatile while',
+    java: 'abstract boolean break byte case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try void while',
+    go: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var',
+    rust: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+    sql: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index insert into is join key left like limit not null on or order outer primary right select set table then union update values where',
+    json: 'true false null',
+    css: 'important',
+  };
+
+  const LANGUAGE_ALIASES = {
+    javascript: 'js', jsx: 'js', mjs: 'js', cjs: 'js', node: 'js',
+    typescript: 'ts', tsx: 'ts',
+    py: 'python', python3: 'python',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    cpp: 'c', 'c++': 'c', h: 'c', hpp: 'c', cs: 'c', csharp: 'c',
+    kotlin: 'java', kt: 'java',
+    golang: 'go', rs: 'rust', postgres: 'sql', mysql: 'sql', sqlite: 'sql',
+    scss: 'css', less: 'css',
+  };
+
+  // Line comment marker per language family ('#' or '//'); block comments are
+  // recognised for the C-like languages and CSS.
+  const HASH_COMMENT = { python: true, bash: true };
+  const BLOCK_COMMENT = { js: true, ts: true, c: true, java: true, go: true, rust: true, css: true };
+
+  const keywordSets = {};
+
+  function normalizeLanguage(lang) {
+    const key = String(lang || '').toLowerCase();
+    return LANGUAGE_ALIASES[key] || key;
+  }
+
+  function languagePattern(lang) {
+    const parts = [];
+    if (BLOCK_COMMENT[lang]) parts.push('\\/\\*[\\s\\S]*?(?:\\*\\/|$)');
+    if (HASH_COMMENT[lang]) parts.push('#[^\\n]*');
+    else if (lang === 'sql') parts.push('--[^\\n]*');
+    else if (lang !== 'json' && lang !== 'css') parts.push('\\/\\/[^\\n]*');
+    parts.push('"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"?', "'(?:\\\\[\\s\\S]|[^'\\\\\\n])*'?");
+    if (lang === 'js' || lang === 'ts') parts.push('`(?:\\\\[\\s\\S]|[^`\\\\])*`?');
+    parts.push('\\b\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b', '[A-Za-z_$][\\w$]*');
+    return new RegExp(parts.join('|'), 'g');
+  }
+
+  function classifyToken(token, lang) {
+    const first = token[0];
+    if (token.startsWith('/*') || token.startsWith('//') || (first === '#' && HASH_COMMENT[lang]) || (token.startsWith('--') && lang === 'sql')) return 'comment';
+    if (first === '"' || first === "'" || first === '`') return 'string';
+    if (/^\d/.test(token)) return 'number';
+    const keywords = keywordSets[lang] ||= new Set(KEYWORDS[lang].split(' '));
+    if (keywords.has(lang === 'sql' ? token.toLowerCase() : token)) return 'keyword';
+    return null;
+  }
+
+  // Returns escaped HTML with <span class="tok-*"> wrappers for known languages
+  function highlight(code, lang) {
+    const language = normalizeLanguage(lang);
+    if (!KEYWORDS[language]) return escapeHtml(code);
+    const pattern = languagePattern(language);
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      const token = match[0];
+      const kind = classifyToken(token, language);
+      if (!kind) continue;
+      html += escapeHtml(code.slice(last, match.index)) + '<span class="tok-' + kind + '">' + escapeHtml(token) + '</span>';
+      last = match.index + token.length;
+    }
+    return html + escapeHtml(code.slice(last));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline formatting
+  // ---------------------------------------------------------------------------
+
+  const SAFE_URL_RE = /^(?:https?:|mailto:|#|\/|\.{1,2}\/|[^:]*$)/i;
+
+  function renderLink(label, url) {
+    const href = url.trim();
+    // `href` is already escaped; decode &amp; only to check the scheme
+    if (!SAFE_URL_RE.test(href.replace(/&amp;/g, '&'))) return label + ' (' + href + ')';
+    return '<a href="' + href + '" target="_blank" rel="noopener noreferrer">' + label + '</a>';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Math
+  // ---------------------------------------------------------------------------
+
+  // TeX is typeset with the KaTeX bundle vendored in public/katex when it is
+  // loaded; otherwise (or if KaTeX throws) the source is shown as code.
+  function renderMath(tex, displayMode) {
+    const katex = global.katex;
+    if (katex && typeof katex.renderToString === 'function') {
+      try {
+        return katex.renderToString(tex, { displayMode, throwOnError: false, strict: 'ignore' });
+      } catch (e) {
+        // fall through to the plain fallback
+      }
+    }
+    return '<code class="math-fallback' + (displayMode ? ' display' : '') + '">' + escapeHtml(tex) + '</code>';
+  }
+
+  // $$..$$ and \[..\] are display math, \(..\) and $..$ inline. A single $
+  // follows pandoc's rules so prices such as "$5 and $6" stay text: the
+  // opening $ must be followed by a non-space, the closing one preceded by a
+  // non-space and not followed by a digit.
+  const INLINE_MATH_RE = /\$\$([^$]+?)\$\$|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|(?<![\\$\w])\$(?=[^\s$])([^$\n]*?[^\s\\$])\$(?![\d$])/g;
+
+  // Finds \boxed{...} outside math delimiters (common in reasoning-model
+  // answers) and returns [start, end] of the balanced group, or null.
+  function findBoxed(text, from) {
+    const start = text.indexOf('\\boxed{', from);
+    if (start === -1) return null;
+    let depth = 0;
+    for (let i = start + 6; i < text.length; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '{') depth++;
+      else if (text[i] === '}' && --depth === 0) return [start, i + 1];
+    }
+    return null;
+  }
+
+  // Swap math for placeholders in raw (unescaped) text; `store` receives the
+  // rendered HTML. The marker character must not appear in model text.
+  function extractMath(text, store, marker) {
+    const hold = (html) => {
+      store.push(html);
+      return marker + (store.length - 1) + marker;
+    };
+    let s = text.replace(INLINE_MATH_RE, (m, displayDollar, displayBracket, inlineParen, inlineDollar) => {
+      if (displayDollar !== undefined) return hold(renderMath(displayDollar.trim(), true));
+      if (displayBracket !== undefined) return hold(renderMath(displayBracket.trim(), true));
+      return hold(renderMath((inlineParen !== undefined ? inlineParen : inlineDollar).trim(), false));
+    });
+    let out = '';
+    let pos = 0;
+    let range;
+    while ((range = findBoxed(s, pos)) !== null) {
+      out += s.slice(pos, range[0]) + hold(renderMath(s.slice(range[0], range[1]), false));
+      pos = range[1];
+    }
+    return out + s.slice(pos);
+  }
+
+  function restore(text, store, marker) {
+    return text.replace(new RegExp(marker + '(\\d+)' + marker, 'g'), (m, i) => store[Number(i)]);
+  }
+
+  // Plain text with math typeset and everything else escaped (used for the
+  // reasoning panel, which is not Markdown-formatted)
+  function renderTextWithMath(text) {
+    const math = [];
+    return restore(escapeHtml(extractMath(String(text || ''), math, '\u0002')), math, '\u0002');
+  }
+
+  // Formats one run of text. Code spans and math are swapped for placeholders
+  // first (on the raw text) so nothing inside them is treated as markup.
+  function renderInline(text) {
+    const codeSpans = [];
+    let s = String(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => {
+      codeSpans.push('<code>' + escapeHtml(code.trim()) + '</code>');
+      return '\u0000' + (codeSpans.length - 1) + '\u0000';
+    });
+    const math = [];
+    s = escapeHtml(extractMath(s, math, '\u0002'));
+    // URLs must not contain code or math placeholders: their HTML would be
+    // restored into the href attribute
+    const links = [];
+    s = s.replace(/\[([^\]\n]+)\]\(([^)\s\u0000\u0002]+)\)/g, (m, label, url) => {
+      links.push(renderLink(label, url));
+      return '\u0001' + (links.length - 1) + '\u0001';
+    });
+    s = s
+      .replace(/\*\*([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__([^_\n]+?)__/g, '<strong>$1</strong>')
+      .replace(/(^|[^*\w])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1<em>$2</em>')
+      .replace(/(^|[^_\w])_(?!\s)([^_\n]+?)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~([^~\n]+?)~~/g, '<del>$1</del>')
+      .replace(/(^|[\s(])(https?:\/\/[^\s<)\u0000-\u0002]+[^\s<).,;:!?'"\u0000-\u0002])/g, (m, lead, url) => lead + renderLink(url, url));
+    s = restore(s, links, '\u0001');
+    s = restore(s, math, '\u0002');
+    return restore(s, codeSpans, '\u0000');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block parsing
+  // ---------------------------------------------------------------------------
+
+  const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+  const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const QUOTE_RE = /^ {0,3}>/;
+  const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  // A line that opens display math without closing it: "$$" or "\[" (with
+  // optional TeX after the delimiter)
+  const MATH_OPEN_RE = /^ {0,3}(\$\$|\\\[)(.*)$/;
+  const TABLE_DELIM_RE = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  // Bullet character or ordinal delimiter of a list marker ("-", "*", "+",
+  // "." or ")"); a different one starts a new list
+  function markerKind(marker) {
+    return marker[marker.length - 1];
+  }
+
+  function indentWidth(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+  }
+
+  // Remove up to `width` columns of leading whitespace (tabs count as 4)
+  function dedent(line, width) {
+    let column = 0;
+    let i = 0;
+    while (i < line.length && column < width && (line[i] === ' ' || line[i] === '\t')) {
+      column += line[i] === '\t' ? 4 : 1;
+      i++;
+    }
+    return line.slice(i);
+  }
+
+  function isBlockStart(line, next) {
+    return FENCE_RE.test(line) || isMathStart(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || LIST_RE.test(line) || isTableStart(line, next);
+  }
+
+  function mathCloser(open) {
+    return open === '$$' ? '$$' : '\\]';
+  }
+
+  function isMathStart(line) {
+    const m = line.match(MATH_OPEN_RE);
+    return !!m && !m[2].includes(mathCloser(m[1]));
+  }
+
+  function isTableStart(line, next) {
+    return line.includes('|') && next !== undefined && next.includes('-') && TABLE_DELIM_RE.test(next);
+  }
+
+  function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  function codeBlockHtml(code, lang, open) {
+    const language = escapeHtml(lang || '');
+    return '<div class="code-block' + (open ? ' streaming' : '') + '">' +
+      '<div class="code-header"><span class="code-lang">' + (language || 'text') + '</span>' +
+      '<button type="button" class="copy-code-btn">Copy</button></div>' +
+      '<pre><code' + (language ? ' class="language-' + language + '"' : '') + '>' + highlight(code, lang) + '</code></pre></div>';
+  }
+
+  // Split text into top-level blocks: [{ type, lines, ... }]. Kept separate
+  // from rendering so finished blocks can be cached by their source.
+  function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+      const start = i;
+
+      const fence = line.match(FENCE_RE);
+      if (fence) {
+        const marker = fence[1];
+        const closeRe = new RegExp('^ {0,3}' + marker[0] + '{' + marker.length + ',}\\s*$');
+        i++;
+        while (i < lines.length && !closeRe.test(lines[i])) i++;
+        const closed = i < lines.length;
+        blocks.push({ type: 'code', lang: fence[2], code: lines.slice(start + 1, i).join('\n'), open: !closed, source: lines.slice(start, closed ? i + 1 : i) });
+        if (closed) i++;
+        continue;
+      }
+      if (isMathStart(line)) {
+        const opener = line.match(MATH_OPEN_RE);
+        const closer = mathCloser(opener[1]);
+        const tex = [opener[2]];
+        i++;
+        while (i < lines.length && !lines[i].includes(closer)) tex.push(lines[i++]);
+        const closed = i < lines.length;
+        if (closed) {
+          const last = lines[i];
+          tex.push(last.slice(0, last.indexOf(closer)));
+          i++;
+        }
+        blocks.push({ type: 'math', tex: tex.join('\n').trim(), open: !closed, source: lines.slice(start, i) });
+        continue;
+      }
+      if (HEADING_RE.test(line) || HR_RE.test(line)) {
+        blocks.push({ type: HR_RE.test(line) ? 'hr' : 'heading', source: [line] });
+        i++;
+        continue;
+      }
+      if (QUOTE_RE.test(line)) {
+        while (i < lines.length && lines[i].trim() && (QUOTE_RE.test(lines[i]) || !isBlockStart(lines[i], lines[i + 1]))) i++;
+        blocks.push({ type: 'quote', source: lines.slice(start, i) });
+        continue;
+      }
+      if (isTableStart(line, lines[i + 1])) {
+        i += 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) i++;
+        blocks.push({ type: 'table', source: lines.slice(start, i) });
+        continue;
+      }
+      const item = line.match(LIST_RE);
+      if (item) {
+        const baseIndent = indentWidth(line);
+        const kind = markerKind(item[2]);
+        // Nested content, or an item of this list (same marker kind)
+        const continues = (next) => {
+          if (indentWidth(next) > baseIndent) return true;
+          const m = next.match(LIST_RE);
+          return !!m && markerKind(m[2]) === kind;
+        };
+        i++;
+        // Continue while lines are items, indented continuations, or blank lines
+        // followed by more list content
+        while (i < lines.length) {
+          const current = lines[i];
+          if (!current.trim()) {
+            const next = lines[i + 1];
+            if (next !== undefined && next.trim() && continues(next)) {
+              i++;
+              continue;
+            }
+            break;
+          }
+          if (continues(current)) {
+            i++;
+            continue;
+          }
+          if (LIST_RE.test(current)) break;
+          if (isBlockStart(current, lines[i + 1])) break;
+          i++; // lazy paragraph continuation
+        }
+        blocks.push({ type: 'list', source: lines.slice(start, i) });
+        continue;
+      }
+      i++;
+      while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) i++;
+      blocks.push({ type: 'paragraph', source: lines.slice(start, i) });
+    }
+    return blocks;
+  }
+
+  function renderList(lines) {
+    const first = lines[0].match(LIST_RE);
+    const ordered = /\d/.test(first[2]);
+    const baseIndent = indentWidth(lines[0]);
+    const items = [];
+    lines.forEach((line) => {
+      const m = line.match(LIST_RE);
+      if (m && indentWidth(line) <= baseIndent) {
+        items.push([m[3]]);
+      } else if (items.length) {
+        // Nested content: strip the parent item's indentation
+        items[items.length - 1].push(dedent(line, baseIndent + 2));
+      }
+    });
+    const startNum = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const open = ordered && startNum !== 1 ? '<ol start="' + startNum + '">' : '<' + tag + '>';
+    return open + items.map((itemLines) => {
+      const [head, ...rest] = itemLines;
+      const nested = rest.join('\n');
+      // Lines directly after the item text (before a nested block) belong to it
+      const body = nested.trim() ? renderBlocks(nested) : '';
+      return '<li>' + renderInline(head) + body + '</li>';
+    }).join('') + '</' + tag + '>';
+  }
+
+  function renderTable(lines) {
+    const header = splitRow(lines[0]);
+    const aligns = splitRow(lines[1]).map((cell) => (cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : ''));
+    const cell = (tag, text, idx) => '<' + tag + (aligns[idx] ? ' style="text-align:' + aligns[idx] + '"' : '') + '>' + renderInline(text || '') + '</' + tag + '>';
+    const head = '<thead><tr>' + header.map((text, idx) => cell('th', text, idx)).join('') + '</tr></thead>';
+    const rows = lines.slice(2).map((line) => {
+      const cells = splitRow(line);
+      return '<tr>' + header.map((_, idx) => cell('td', cells[idx], idx)).join('') + '</tr>';
+    }).join('');
+    return '<div class="table-wrapper"><table>' + head + '<tbody>' + rows + '</tbody></table></div>';
+  }
+
+  function renderBlock(block) {
+    const lines = block.source;
+    switch (block.type) {
+      case 'code':
+        return codeBlockHtml(block.code, block.lang, block.open);
+      case 'math':
+        // Half-streamed TeX is shown raw until the closing delimiter arrives
+        if (block.open) return '<div class="math-block streaming"><pre class="math-pending">' + escapeHtml(lines.join('\n')) + '</pre></div>';
+        return '<div class="math-block">' + renderMath(block.tex, true) + '</div>';
+      case 'hr':
+        return '<hr>';
+      case 'heading': {
+        const m = lines[0].match(HEADING_RE);
+        const level = m[1].length;
+        return '<h' + level + '>' + renderInline(m[2]) + '</h' + level + '>';
+      }
+      case 'quote':
+        return '<blockquote>' + renderBlocks(lines.map((l) => l.replace(/^ {0,3}> ?/, '')).join('\n')) + '</blockquote>';
+      case 'table':
+        return renderTable(lines);
+      case 'list':
+        return renderList(lines);
+      default:
+        // Keep single newlines as line breaks, matching the previous formatter
+        return '<p>' + lines.map((l) => renderInline(l.trim())).join('<br>') + '</p>';
+    }
+  }
+
+  function renderBlocks(text) {
+    return parseBlocks(String(text).split(/\r?\n/)).map(renderBlock).join('');
+  }
+
+  // Cache of rendered top-level blocks keyed by their source text
+  const blockCache = new Map();
+  const BLOCK_CACHE_LIMIT = 500;
+
+  function render(text) {
+    if (!text) return '';
+    const blocks = parseBlocks(String(text).split(/\r?\n/));
+    return blocks.map((block, index) => {
+      // The last block may still be streaming; everything before it is final
+      const cacheable = index < blocks.length - 1;
+      const key = block.type + '\u0000' + block.source.join('\n');
+      if (cacheable && blockCache.has(key)) return blockCache.get(key);
+      const html = renderBlock(block);
+      if (cacheable) {
+        if (blockCache.size >= BLOCK_CACHE_LIMIT) blockCache.delete(blockCache.keys().next().value);
+        blockCache.set(key, html);
+      }
+      return html;
+    }).join('');
+  }
+
+  const Markdown = { render, renderInline, renderTextWithMath, renderMath, escapeHtml, highlight };
+
+  try {
+    if (typeof window !== 'undefined') window.Markdown = Markdown;
+    if (typeof self !== 'undefined') self.Markdown = Markdown;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
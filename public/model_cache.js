@@ -0,0 +1,201 @@
+(function(global){
+  // Inspection and cleanup of downloaded model files.
+  // Files live in two places, both keyed by their download URL, e.g.
+  //   https://huggingface.co/onnx-community/Qwen3-0.6B-ONNX/resolve/main/onnx/model_q4f16.onnx
+  // - the Origin Private File System folder "model-files", where the worker's
+  //   resumable downloader writes "<hash>.bin" files with "<hash>.json"
+  //   sidecars ({ url, size, complete, verified, ... });
+  // - the Cache Storage bucket "transformers-cache" (used by transformers.js
+  //   directly, and by the worker when OPFS is unavailable).
+  // This module groups both per model:
+  //   { modelId, size, dtypes, lastUsed,
+  //     files: [{ url, path, size, dtype, storage: 'opfs' | 'cache', complete, verified }] }
+  // Last-used times are not tracked by either store, so the page records them
+  // in localStorage when a model finishes loading.
+  // All methods return promises; they reject when neither store is available
+  // (e.g. pages opened from file://).
+  const CACHE_NAME = 'transformers-cache';
+  const STORE_DIR = 'model-files';
+  const USAGE_KEY = 'onnx-transformers-chat:model-usage';
+
+  function openCache() {
+    if (typeof caches === 'undefined') return Promise.resolve(null);
+    return caches.open(CACHE_NAME).catch(() => null);
+  }
+
+  async function openStore() {
+    if (!global.navigator || !global.navigator.storage || typeof global.navigator.storage.getDirectory !== 'function') return null;
+    try {
+      return await (await global.navigator.storage.getDirectory()).getDirectoryHandle(STORE_DIR);
+    } catch (e) {
+      return null; // nothing downloaded through OPFS yet, or OPFS unavailable
+    }
+  }
+
+  // Map a cache key to { modelId, path }. Known registry ids are matched
+  // first (so mirrors with custom path templates are grouped correctly), then
+  // the hub layout "<id>/resolve/<revision>/<path>".
+  function parseKey(url, knownIds) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(url).pathname);
+    } catch (e) {
+      pathname = String(url);
+    }
+    const known = (knownIds || [])
+      .filter((id) => pathname.includes('/' + id + '/'))
+      .sort((a, b) => b.length - a.length)[0];
+    if (known) {
+      const rest = pathname.slice(pathname.indexOf('/' + known + '/') + known.length + 2);
+      return { modelId: known, path: rest.replace(/^resolve\/[^/]+\//, '') };
+    }
+    const hub = pathname.match(/^\/?(.+?)\/resolve\/[^/]+\/(.+)$/);
+    if (hub) return { modelId: hub[1], path: hub[2] };
+    const slash = pathname.lastIndexOf('/');
+    return { modelId: pathname.slice(1, slash) || pathname, path: pathname.slice(slash + 1) };
+  }
+
+  async function entrySize(cache, request) {
+    const response = await cache.match(request);
+    if (!response) return 0;
+    const length = Number(response.headers.get('Content-Length'));
+    if (length > 0) return length;
+    return (await response.blob()).size;
+  }
+
+  function readUsage() {
+    try {
+      return JSON.parse(global.localStorage.getItem(USAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function markUsed(modelId) {
+    try {
+      const usage = readUsage();
+      usage[modelId] = Date.now();
+      global.localStorage.setItem(USAGE_KEY, JSON.stringify(usage));
+    } catch (e) {
+      // localStorage may be disabled; last-used times are best effort
+    }
+  }
+
+  // Every stored file as { url, size, storage, complete, verified, remove }
+  async function storedFiles() {
+    const [cache, store] = await Promise.all([openCache(), openStore()]);
+    if (!cache && !store && typeof caches === 'undefined') throw new Error('Cache Storage is not available');
+    const files = [];
+    if (store) {
+      for await (const [name, handle] of store.entries()) {
+        if (handle.kind !== 'file' || !name.endsWith('.json')) continue;
+        let meta;
+        try {
+          meta = JSON.parse(await (await handle.getFile()).text());
+        } catch (e) {
+          continue;
+        }
+        const base = name.slice(0, -'.json'.length);
+        let size = meta.size || 0;
+        if (!meta.complete) {
+          try {
+            size = (await (await store.getFileHandle(base + '.bin')).getFile()).size;
+          } catch (e) {
+            size = 0;
+          }
+        }
+        files.push({
+          url: meta.url,
+          size,
+          storage: 'opfs',
+          complete: !!meta.complete,
+          verified: !!meta.verified,
+          remove: async () => {
+            for (const suffix of ['.bin', '.json']) {
+              await store.removeEntry(base + suffix).catch(() => {});
+            }
+          },
+        });
+      }
+    }
+    if (cache) {
+      for (const request of await cache.keys()) {
+        files.push({ url: request.url, size: await entrySize(cache, request), storage: 'cache', complete: true, verified: false, remove: () => cache.delete(request) });
+      }
+    }
+    return files;
+  }
+
+  async function filesByModel(knownIds) {
+    const groups = new Map();
+    (await storedFiles()).forEach((file) => {
+      const { modelId, path } = parseKey(file.url, knownIds);
+      if (!groups.has(modelId)) groups.set(modelId, []);
+      groups.get(modelId).push({ ...file, path });
+    });
+    return groups;
+  }
+
+  // Stored models, most recently used first
+  async function list(knownIds) {
+    const groups = await filesByModel(knownIds);
+    const usage = readUsage();
+    const models = [];
+    for (const [modelId, entries] of groups) {
+      const files = entries
+        .map(({ remove, ...file }) => ({ ...file, dtype: global.LocalModels ? global.LocalModels.dtypeForFile(file.path) : null }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+      models.push({
+        modelId,
+        files,
+        size: files.reduce((sum, f) => sum + f.size, 0),
+        dtypes: [...new Set(files.map((f) => f.dtype).filter(Boolean))],
+        lastUsed: usage[modelId] || null,
+      });
+    }
+    return models.sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0) || a.modelId.localeCompare(b.modelId));
+  }
+
+  // Delete every stored file (complete or partial) of one model
+  async function removeModel(modelId, knownIds) {
+    const entries = (await filesByModel(knownIds)).get(modelId) || [];
+    await Promise.all(entries.map((entry) => entry.remove()));
+    return entries.length;
+  }
+
+  // Delete everything in both stores
+  async function purge() {
+    if (typeof caches !== 'undefined') await caches.delete(CACHE_NAME);
+    if (global.navigator && global.navigator.storage && typeof global.navigator.storage.getDirectory === 'function') {
+      try {
+        await (await global.navigator.storage.getDirectory()).removeEntry(STORE_DIR, { recursive: true });
+      } catch (e) {
+        // no OPFS folder yet
+      }
+    }
+  }
+
+  // { usage, quota } in bytes for the whole origin, or null if unsupported
+  async function estimate() {
+    if (!global.navigator || !global.navigator.storage || typeof global.navigator.storage.estimate !== 'function') return null;
+    const { usage, quota } = await global.navigator.storage.estimate();
+    return { usage: usage || 0, quota: quota || 0 };
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return (bytes / Math.pow(1024, i)).toFixed(i ? 1 : 0) + ' ' + units[i];
+  }
+
+  const ModelCache = { CACHE_NAME, STORE_DIR, list, removeModel, purge, estimate, markUsed, parseKey, formatBytes };
+
+  try {
+    if (typeof window !== 'undefined') window.ModelCache = ModelCache;
+    if (typeof self !== 'undefined') self.ModelCache = ModelCache;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
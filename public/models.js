@@ -1,16 +1,198 @@
 (function(global){
+  // Registry entries are checked against MODEL_ENTRY_SCHEMA at startup (see
+  // validateModelRegistry). Required: `friendly` (dropdown label) and `dtype`
+  // (default precision). Optional metadata:
+  //   dtypes         precisions the model may be loaded with (default [dtype])
+  //   devices        'webgpu' and/or 'wasm' (default ['webgpu', 'wasm'])
+  //   contextLength  maximum tokens of prompt + reply
+  //   downloadSize   approximate bytes downloaded for the default dtype
+  //   license        SPDX id or license name of the weights
+  //   thinking       emits <think>...</think> reasoning (default false)
+  //   systemRole     false when the chat template has no system role, so the
+  //                  system prompt is folded into the first user turn
+  //   systemPrompt   default system message for new conversations
+  //   generation     overrides of GENERATION_DEFAULTS
+  //   fallback       explicit load attempts after the chosen one, e.g.
+  //                  [{ device: 'webgpu', dtype: 'q4' }, { device: 'wasm', dtype: 'fp32' }]
+  //                  (default: derived from dtypes/devices, see modelFallbackLadder)
+  // Entries may also set `remoteHost`, `remotePathTemplate` and `revision` to
+  // download that model from somewhere other than the Hugging Face hub.
+  // `sha256` maps file paths to expected hashes, e.g.
+  //   sha256: { 'onnx/model_q4f16.onnx': '<64 hex chars>' }
+  // and downloaded files are verified against them (pin `revision` as well,
+  // since a hub branch can move to different weights).
+  // `local` and `custom` are set by the page for models loaded from disk or
+  // added through the "Add Model" dialog.
+
+  // Fallback generation settings; registry entries override them via `generation`.
+  // A temperature of 0 selects greedy decoding, `seed: null` samples non-deterministically.
+  const GENERATION_DEFAULTS = {
+    temperature: 0,
+    top_k: 50,
+    top_p: 1,
+    min_p: 0,
+    repetition_penalty: 1,
+    no_repeat_ngram_size: 0,
+    max_new_tokens: 2048,
+    seed: null
+  };
+
+  // Where model files are downloaded from, for every entry that does not set
+  // its own values. `remoteHost` may be relative to the page (e.g. './models/');
+  // `remotePathTemplate` expands {model} (the registry id) and {revision}.
+  // Examples:
+  //   Hugging Face hub:          'https://huggingface.co/', '{model}/resolve/{revision}/'
+  //   `python -m http.server`
+  //   over a folder of repos:    'http://localhost:8080/', '{model}/'
+  const MODEL_SOURCE_DEFAULTS = {
+    remoteHost: 'https://huggingface.co/',
+    remotePathTemplate: '{model}/resolve/{revision}/',
+    revision: 'main'
+  };
+
   const MODEL_REGISTRY = {
-    'onnx-community/Llama-3.2-1B-Instruct-ONNX': { friendly: 'Llama‑3.2‑1B‑Instruct', dtype: 'q4f16', thinking: false },
-    'onnx-community/Qwen3-0.6B-ONNX': { friendly: 'Qwen3‑0.6B', dtype: 'q4f16', thinking: true },
-    'onnx-community/NanoChat-d32-ONNX': { friendly: 'NanoChat‑d32', dtype: 'q4', thinking: false },
-    'onnx-community/gemma-3-270m-it-ONNX': { friendly: 'Gemma‑3‑270m‑IT', dtype: 'fp32', thinking: false },
-    'onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX': { friendly: 'DeepSeek R1 (Qwen‑1.5B)', dtype: 'q4f16', thinking: true },
-    'onnx-community/LFM2-1.2B-ONNX': { friendly: 'LFM2‑1.2B', dtype: 'q4', thinking: false }
+    'onnx-community/Llama-3.2-1B-Instruct-ONNX': { friendly: 'Llama‑3.2‑1B‑Instruct', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 131072, downloadSize: 1.1e9, license: 'llama3.2', thinking: false, systemPrompt: 'You are a helpful, concise assistant.', generation: { temperature: 0.6, top_p: 0.9 } },
+    'onnx-community/Qwen3-0.6B-ONNX': { friendly: 'Qwen3‑0.6B', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16', 'fp32'], devices: ['webgpu', 'wasm'], contextLength: 40960, downloadSize: 5.7e8, license: 'apache-2.0', thinking: true, generation: { temperature: 0.6, top_k: 20, top_p: 0.95 } },
+    'onnx-community/NanoChat-d32-ONNX': { friendly: 'NanoChat‑d32', dtype: 'q4', dtypes: ['q4'], devices: ['webgpu', 'wasm'], contextLength: 2048, downloadSize: 1.3e9, license: 'mit', thinking: false },
+    'onnx-community/gemma-3-270m-it-ONNX': { friendly: 'Gemma‑3‑270m‑IT', dtype: 'fp32', dtypes: ['fp32', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 32768, downloadSize: 1.1e9, license: 'gemma', thinking: false, systemRole: false, generation: { temperature: 1, top_k: 64, top_p: 0.95, repetition_penalty: 1.1, max_new_tokens: 1024 } },
+    'onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX': { friendly: 'DeepSeek R1 (Qwen‑1.5B)', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 131072, downloadSize: 1.3e9, license: 'mit', thinking: true, generation: { temperature: 0.6, top_p: 0.95 } },
+    'onnx-community/LFM2-1.2B-ONNX': { friendly: 'LFM2‑1.2B', dtype: 'q4', dtypes: ['q4', 'q4f16', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 32768, downloadSize: 9e8, license: 'lfm1.0', thinking: false, generation: { temperature: 0.3, min_p: 0.15, repetition_penalty: 1.05 } }
+  };
+
+  // transformers.js precisions and ONNX Runtime backends an entry may name
+  const MODEL_DTYPES = ['q4f16', 'q4', 'fp16', 'q8', 'int8', 'uint8', 'bnb4', 'fp32'];
+  const MODEL_DEVICES = ['webgpu', 'wasm'];
+
+  // field -> { type, required?, values?, items?, check?, default? }
+  // `default` may be a function of the entry being normalized.
+  const MODEL_ENTRY_SCHEMA = {
+    friendly: { type: 'string', required: true },
+    dtype: { type: 'string', required: true, values: MODEL_DTYPES },
+    dtypes: { type: 'array', items: MODEL_DTYPES, default: (entry) => [entry.dtype] },
+    devices: { type: 'array', items: MODEL_DEVICES, default: () => MODEL_DEVICES.slice() },
+    contextLength: { type: 'number', check: (v) => Number.isInteger(v) && v > 0 },
+    downloadSize: { type: 'number', check: (v) => v > 0 },
+    license: { type: 'string' },
+    thinking: { type: 'boolean', default: () => false },
+    systemRole: { type: 'boolean', default: () => true },
+    systemPrompt: { type: 'string' },
+    generation: { type: 'object', check: (v) => Object.keys(v).every((k) => k in GENERATION_DEFAULTS) },
+    fallback: { type: 'array', check: (v) => v.every((step) => step && MODEL_DEVICES.includes(step.device) && MODEL_DTYPES.includes(step.dtype)) },
+    remoteHost: { type: 'string' },
+    remotePathTemplate: { type: 'string' },
+    revision: { type: 'string' },
+    sha256: { type: 'object', check: (v) => Object.values(v).every((h) => /^[0-9a-f]{64}$/i.test(h)) },
+    local: { type: 'boolean' },
+    custom: { type: 'boolean' }
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  // Check one entry; returns { entry, errors } where `entry` has defaults
+  // filled in (and is null when there are errors)
+  function validateModelEntry(modelId, entry) {
+    const errors = [];
+    if (typeOf(entry) !== 'object') return { entry: null, errors: [modelId + ': entry must be an object'] };
+    Object.keys(entry).forEach((field) => {
+      if (!(field in MODEL_ENTRY_SCHEMA)) errors.push(modelId + ': unknown field "' + field + '"');
+    });
+    for (const [field, spec] of Object.entries(MODEL_ENTRY_SCHEMA)) {
+      const value = entry[field];
+      if (value === undefined) {
+        if (spec.required) errors.push(modelId + ': missing "' + field + '"');
+        continue;
+      }
+      if (typeOf(value) !== spec.type) {
+        errors.push(modelId + ': "' + field + '" must be a' + (/^[aeiou]/.test(spec.type) ? 'n ' : ' ') + spec.type);
+      } else if (spec.values && !spec.values.includes(value)) {
+        errors.push(modelId + ': "' + field + '" must be one of ' + spec.values.join(', '));
+      } else if (spec.items && (!value.length || value.some((item) => !spec.items.includes(item)))) {
+        errors.push(modelId + ': "' + field + '" must list values from ' + spec.items.join(', '));
+      } else if (spec.check && !spec.check(value)) {
+        errors.push(modelId + ': invalid "' + field + '"');
+      }
+    }
+    if (!errors.length && Array.isArray(entry.dtypes) && !entry.dtypes.includes(entry.dtype)) {
+      errors.push(modelId + ': "dtype" must be one of its "dtypes"');
+    }
+    if (errors.length) return { entry: null, errors };
+    const normalized = { ...entry };
+    for (const [field, spec] of Object.entries(MODEL_ENTRY_SCHEMA)) {
+      if (normalized[field] === undefined && spec.default) normalized[field] = spec.default(normalized);
+    }
+    return { entry: normalized, errors };
+  }
+
+  // Order in which dtypes are tried on each device when a load fails. fp16
+  // variants are left out for WASM, whose CPU kernels lack fp16 support.
+  const FALLBACK_DTYPE_ORDER = {
+    webgpu: ['q4f16', 'q4', 'fp16', 'q8', 'int8', 'uint8', 'bnb4', 'fp32'],
+    wasm: ['q4', 'q8', 'int8', 'uint8', 'bnb4', 'fp32']
   };
 
+  // Load attempts for a validated entry, starting with `start` ({ device, dtype }).
+  // Unless the entry lists its own `fallback`, the ladder steps down the
+  // entry's dtypes on the starting device, then moves on to the next device
+  // (webgpu before wasm), e.g. webgpu q4f16 -> webgpu q4 -> webgpu fp32 ->
+  // wasm q4 -> wasm fp32. `devices` narrows the entry's devices to what the
+  // browser offers.
+  function modelFallbackLadder(entry, start, devices) {
+    const usable = MODEL_DEVICES.filter((d) => entry.devices.includes(d) && (!devices || devices.includes(d)));
+    const steps = [start];
+    if (Array.isArray(entry.fallback)) {
+      steps.push(...entry.fallback.filter((step) => usable.includes(step.device)));
+    } else {
+      usable.slice(Math.max(0, usable.indexOf(start.device))).forEach((device) => {
+        const order = FALLBACK_DTYPE_ORDER[device];
+        const from = device === start.device ? order.indexOf(start.dtype) + 1 : 0;
+        order.slice(from).filter((dtype) => entry.dtypes.includes(dtype)).forEach((dtype) => steps.push({ device, dtype }));
+      });
+    }
+    const seen = new Set();
+    return steps.filter((step) => {
+      const key = step.device + '/' + step.dtype;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Validate every entry in place: valid entries get their defaults, invalid
+  // ones are removed. Returns the error messages.
+  function validateModelRegistry(registry) {
+    const errors = [];
+    Object.keys(registry).forEach((modelId) => {
+      const result = validateModelEntry(modelId, registry[modelId]);
+      if (result.entry) registry[modelId] = result.entry;
+      else delete registry[modelId];
+      errors.push(...result.errors);
+    });
+    return errors;
+  }
+
   try {
-    if (typeof window !== 'undefined') window.MODEL_REGISTRY = MODEL_REGISTRY;
-    if (typeof self !== 'undefined') self.MODEL_REGISTRY = MODEL_REGISTRY;
+    if (typeof window !== 'undefined') {
+      window.MODEL_REGISTRY = MODEL_REGISTRY;
+      window.GENERATION_DEFAULTS = GENERATION_DEFAULTS;
+      window.MODEL_SOURCE_DEFAULTS = MODEL_SOURCE_DEFAULTS;
+      window.MODEL_ENTRY_SCHEMA = MODEL_ENTRY_SCHEMA;
+      window.validateModelEntry = validateModelEntry;
+      window.validateModelRegistry = validateModelRegistry;
+      window.modelFallbackLadder = modelFallbackLadder;
+    }
+    if (typeof self !== 'undefined') {
+      self.MODEL_REGISTRY = MODEL_REGISTRY;
+      self.GENERATION_DEFAULTS = GENERATION_DEFAULTS;
+      self.MODEL_SOURCE_DEFAULTS = MODEL_SOURCE_DEFAULTS;
+      self.MODEL_ENTRY_SCHEMA = MODEL_ENTRY_SCHEMA;
+      self.validateModelEntry = validateModelEntry;
+      self.validateModelRegistry = validateModelRegistry;
+      self.modelFallbackLadder = modelFallbackLadder;
+    }
   } catch (e) {
     // ignore
   }
@@ -0,0 +1,410 @@
+(function(global){
+  // <onnx-chat> – the chat as a drop-in custom element, built on
+  // createLLMClient() (public/llm_client.js):
+  //   <onnx-chat model="onnx-community/Qwen3-0.6B-ONNX" system-prompt="Answer briefly." temperature="0.7"></onnx-chat>
+  // Load the scripts llm_client.js needs, public/markdown.js (optional, with
+  // KaTeX for math) and this file. styles.css is linked inside the shadow
+  // root, so the element looks like the demo page.
+  // Attributes:
+  //   model          registry id, loaded when the element is connected or the value changes
+  //   device, dtype  runtime to start with (default: registry entry, WebGPU when available)
+  //   system-prompt  system message (default: the entry's systemPrompt)
+  //   temperature, top-k, top-p, min-p, repetition-penalty,
+  //   no-repeat-ngram-size, max-new-tokens, seed
+  //                  generation options (default: the entry's `generation` values)
+  //   placeholder    text of the empty input
+  //   base-url       folder holding public/ and styles.css (default: next to this script)
+  // Events (bubbling, composed; the payload is event.detail):
+  //   onnx-chat-progress  { loaded, total, progress, speed, eta } while a model downloads
+  //   onnx-chat-ready     { model, device, dtype } once the model is loaded
+  //   onnx-chat-message   { role, content, thought } for each sent message and finished answer
+  //   onnx-chat-complete  { output, thought, tps, numTokens, cancelled } when a generation ends
+  //   onnx-chat-error     { error, during: 'load' | 'generate' }
+  // Methods send(text), stop() and reset(); `messages` (a copy) and `client`.
+  const TAG_NAME = 'onnx-chat';
+
+  // attribute -> generation option (GENERATION_DEFAULTS)
+  const GENERATION_ATTRIBUTES = {
+    temperature: 'temperature',
+    'top-k': 'top_k',
+    'top-p': 'top_p',
+    'min-p': 'min_p',
+    'repetition-penalty': 'repetition_penalty',
+    'no-repeat-ngram-size': 'no_repeat_ngram_size',
+    'max-new-tokens': 'max_new_tokens',
+    seed: 'seed',
+  };
+
+  // This file lives in public/, so the default base is the folder above it
+  const SCRIPT_BASE = global.document && global.document.currentScript
+    ? new URL('..', global.document.currentScript.src).href
+    : null;
+
+  // Rules on top of styles.css: the host replaces the page body, and the
+  // messages scroll inside the element's height
+  const HOST_STYLES = `
+    :host {
+      display: block;
+      height: 32rem;
+      background: var(--theme-background);
+      color: var(--theme-text);
+      font-family: var(--font-family-mono);
+      font-size: var(--font-size);
+      line-height: var(--line-height);
+    }
+    #chat-interface { height: 100%; }
+    .chat-container { min-height: 0; }
+    .chat-status { padding: 0.5rem 1rem; font-size: 0.85rem; border-bottom: 1px solid var(--theme-border); }
+    .chat-status .settings-error:empty { display: none; }
+    .message-thought { margin-bottom: 0.5rem; font-size: 0.85rem; color: var(--color-gray-80); }
+    .message-thought .thought-content { padding: 0.5rem 0 0; }
+  `;
+
+  const TEMPLATE = `
+    <div id="chat-interface">
+      <div class="chat-container">
+        <div class="chat-status hidden" role="status">
+          <div class="chat-status-text"></div>
+          <div class="progress-bar"><div class="progress-fill"></div></div>
+          <div class="settings-error" role="alert"></div>
+        </div>
+        <div id="messages" class="messages" aria-live="polite"></div>
+        <div class="input-area">
+          <textarea id="message-input" rows="3" autocomplete="off"></textarea>
+          <div class="input-area-buttons">
+            <button id="send-btn" disabled>Send</button>
+            <button id="stop-btn" disabled>Stop</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  function renderFormatted(text) {
+    if (!text) return '';
+    if (global.Markdown) return global.Markdown.render(String(text));
+    const div = global.document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function defineElement() {
+    class OnnxChatElement extends HTMLElement {
+      static get observedAttributes() {
+        return ['model', 'device', 'dtype', 'placeholder'];
+      }
+
+      constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        // Conversation so far: [{ role, content, thought }]
+        this._messages = [];
+        this._client = null;
+        this._registry = null;
+        this._loadedModel = null;
+        // Number of the current load; results of earlier loads are dropped
+        this._loadCount = 0;
+        // Number of the current conversation; reset() starts a new one, and
+        // answers to an earlier one are dropped
+        this._conversationCount = 0;
+        // Aborts the running generation
+        this._controller = null;
+        this._rendered = false;
+      }
+
+      get client() {
+        return this._client;
+      }
+
+      get messages() {
+        return this._messages.map((message) => ({ ...message }));
+      }
+
+      connectedCallback() {
+        if (!this._rendered) this._render();
+        if (this._client) return;
+        // A copy, so the element does not change the page's registry while validating it
+        this._registry = { ...(global.MODEL_REGISTRY || {}) };
+        if (global.validateModelRegistry) {
+          const errors = global.validateModelRegistry(this._registry);
+          if (errors.length) console.error('Invalid model registry entries were skipped:\n' + errors.join('\n'));
+        }
+        this._client = global.createLLMClient({ registry: this._registry, baseUrl: this._baseUrl() });
+        this._client.ready.catch((error) => this._fail('load', error));
+        this._load();
+      }
+
+      disconnectedCallback() {
+        // Moving the element in the DOM reconnects it right away; keep the worker then
+        queueMicrotask(() => {
+          if (this.isConnected || !this._client) return;
+          // Ends a running send() with an onnx-chat-error
+          this._client.terminate();
+          this._client = null;
+          this._loadedModel = null;
+          this._controller = null;
+        });
+      }
+
+      attributeChangedCallback(name, oldValue, value) {
+        if (!this._rendered || oldValue === value) return;
+        if (name === 'placeholder') this._input.placeholder = value || '';
+        else if (this._client) this._load();
+      }
+
+      // Send a user message (default: the input's text) and stream the answer.
+      // Resolves with the onnx-chat-complete detail, or null if nothing was sent.
+      async send(text) {
+        const content = String(text === undefined ? this._input.value : text).trim();
+        if (!content || this._controller || !this._loadedModel) return null;
+        if (text === undefined) this._input.value = '';
+        this._showError('');
+        this._addMessage({ role: 'user', content, thought: '' });
+
+        const controller = new AbortController();
+        this._controller = controller;
+        this._updateControls();
+        const conversation = this._conversationCount;
+        const reply = { role: 'assistant', content: '', thought: '' };
+        const result = { output: '', thought: '', tps: null, numTokens: 0, cancelled: false };
+        let node = null;
+        try {
+          const options = { options: this._generationOptions(), signal: controller.signal };
+          for await (const event of this._client.stream(this._chatMessages(), options)) {
+            if (event.status === 'start') {
+              if (conversation === this._conversationCount) node = this._appendMessageNode(reply);
+            } else if (event.status === 'update') {
+              reply.content = result.output = event.output || '';
+              reply.thought = result.thought = event.thought || '';
+              result.tps = event.tps || null;
+              result.numTokens = event.numTokens || 0;
+              this._renderMessageContent(node, reply);
+            } else if (event.status === 'cancelled') {
+              result.cancelled = true;
+            }
+          }
+          // Stopped before it started, or the conversation was reset: nothing to keep
+          if (node && conversation === this._conversationCount) {
+            this._messages.push(reply);
+            this._emit('onnx-chat-message', { ...reply });
+          }
+          this._emit('onnx-chat-complete', result);
+          return result;
+        } catch (error) {
+          if (node) node.remove();
+          this._fail('generate', error);
+          return null;
+        } finally {
+          if (this._controller === controller) this._controller = null;
+          this._updateControls();
+        }
+      }
+
+      // Stop the running generation; its partial answer is kept
+      stop() {
+        if (this._controller) this._controller.abort();
+      }
+
+      // Start a new conversation
+      reset() {
+        this.stop();
+        this._conversationCount++;
+        this._messages = [];
+        this._messagesEl.innerHTML = '';
+        this._showError('');
+        if (this._client) this._client.reset().catch(() => {});
+      }
+
+      _baseUrl() {
+        const attribute = this.getAttribute('base-url');
+        if (attribute) return new URL(attribute, global.location.href).href;
+        return SCRIPT_BASE || new URL('.', global.location.href).href;
+      }
+
+      _render() {
+        const base = this._baseUrl().replace(/\/?$/, '/');
+        this.shadowRoot.innerHTML = `
+          <link rel="stylesheet" href="${base}styles.css">
+          <link rel="stylesheet" href="${base}public/katex/katex.min.css">
+          <style>${HOST_STYLES}</style>
+          ${TEMPLATE}
+        `;
+        const root = this.shadowRoot;
+        this._messagesEl = root.getElementById('messages');
+        this._input = root.getElementById('message-input');
+        this._sendBtn = root.getElementById('send-btn');
+        this._stopBtn = root.getElementById('stop-btn');
+        this._status = root.querySelector('.chat-status');
+        this._statusText = root.querySelector('.chat-status-text');
+        this._progress = root.querySelector('.progress-bar');
+        this._progressFill = root.querySelector('.progress-fill');
+        this._error = root.querySelector('.chat-status .settings-error');
+        this._input.placeholder = this.getAttribute('placeholder') || 'Type a message (Shift+Return for newline)...';
+
+        this._sendBtn.addEventListener('click', () => this.send());
+        this._stopBtn.addEventListener('click', () => this.stop());
+        this._input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' && !e.shiftKey && !e.altKey && !e.isComposing) {
+            e.preventDefault();
+            this.send();
+          }
+        });
+        this._rendered = true;
+        this._updateControls();
+      }
+
+      async _load() {
+        const model = this.getAttribute('model');
+        const loadId = ++this._loadCount;
+        const current = () => loadId === this._loadCount && this._client;
+        this.stop();
+        this._loadedModel = null;
+        this._updateControls();
+        if (!model) {
+          this._showStatus('');
+          return;
+        }
+        const friendly = (this._registry[model] && this._registry[model].friendly) || model;
+        this._showError('');
+        this._showStatus('Loading ' + friendly + '...', 0);
+        const onEvent = (message) => {
+          if (!current()) return;
+          if (message.status === 'loading') {
+            this._showStatus(message.data, null);
+          } else if (message.status === 'progress_total') {
+            this._showStatus('Loading ' + friendly + '...', message.progress);
+            const { loaded, total, progress, speed, eta } = message;
+            this._emit('onnx-chat-progress', { loaded, total, progress, speed, eta });
+          }
+        };
+        try {
+          const loaded = await this._client.load(model, {
+            device: this.getAttribute('device') || undefined,
+            dtype: this.getAttribute('dtype') || undefined,
+            onEvent,
+          });
+          if (!current()) return;
+          this._loadedModel = loaded.model;
+          this._showStatus('');
+          this._emit('onnx-chat-ready', loaded);
+        } catch (error) {
+          if (current()) this._fail('load', error);
+        }
+        if (current()) this._updateControls();
+      }
+
+      // Options from the generation attributes; unset ones keep the model defaults
+      _generationOptions() {
+        const options = {};
+        Object.entries(GENERATION_ATTRIBUTES).forEach(([attribute, option]) => {
+          const value = this.getAttribute(attribute);
+          if (value === null || value.trim() === '') return;
+          options[option] = Number(value);
+        });
+        return options;
+      }
+
+      _chatMessages() {
+        const entry = this._registry[this._loadedModel] || {};
+        const attribute = this.getAttribute('system-prompt');
+        const systemPrompt = (attribute !== null ? attribute : entry.systemPrompt || '').trim();
+        const history = this._messages.map(({ role, content }) => ({ role, content }));
+        return systemPrompt ? [{ role: 'system', content: systemPrompt }, ...history] : history;
+      }
+
+      _addMessage(message) {
+        this._messages.push(message);
+        this._renderMessageContent(this._appendMessageNode(message), message);
+        this._emit('onnx-chat-message', { ...message });
+      }
+
+      _appendMessageNode(message) {
+        let node;
+        if (message.role === 'assistant') {
+          node = global.document.createElement('fieldset');
+          node.className = 'message assistant';
+          const legend = global.document.createElement('legend');
+          const entry = this._registry[this._loadedModel];
+          legend.textContent = entry ? entry.friendly : 'Assistant';
+          const body = global.document.createElement('div');
+          body.className = 'assistant-output';
+          node.append(legend, body);
+        } else {
+          node = global.document.createElement('div');
+          node.className = 'message ' + message.role;
+          const text = global.document.createElement('div');
+          text.className = 'message-text';
+          node.appendChild(text);
+        }
+        this._messagesEl.appendChild(node);
+        this._messagesEl.scrollTop = this._messagesEl.scrollHeight;
+        return node;
+      }
+
+      _renderMessageContent(node, message) {
+        if (!node) return;
+        if (message.role !== 'assistant') {
+          node.querySelector('.message-text').textContent = message.content;
+          return;
+        }
+        let thought = node.querySelector('.message-thought');
+        if (message.thought && !thought) {
+          thought = global.document.createElement('details');
+          thought.className = 'message-thought';
+          thought.innerHTML = '<summary>Thoughts</summary><div class="thought-content"></div>';
+          node.insertBefore(thought, node.querySelector('.assistant-output'));
+        }
+        if (thought) {
+          const content = thought.querySelector('.thought-content');
+          if (global.Markdown) content.innerHTML = global.Markdown.renderTextWithMath(message.thought);
+          else content.textContent = message.thought;
+        }
+        node.querySelector('.assistant-output').innerHTML = renderFormatted(message.content);
+        this._messagesEl.scrollTop = this._messagesEl.scrollHeight;
+      }
+
+      // Status line with an optional progress bar (percent; null hides the bar)
+      _showStatus(text, progress = null) {
+        this._status.classList.toggle('hidden', !text && !this._error.textContent);
+        this._statusText.textContent = text;
+        this._progress.classList.toggle('hidden', progress === null || !text);
+        if (progress !== null) this._progressFill.style.width = Math.round(progress) + '%';
+      }
+
+      _showError(text) {
+        this._error.textContent = text;
+        this._status.classList.toggle('hidden', !text && !this._statusText.textContent);
+      }
+
+      _fail(during, error) {
+        const message = error && error.message ? error.message : String(error);
+        console.error('onnx-chat ' + during + ' failed:', error);
+        if (during === 'load') this._showStatus('');
+        this._showError(message);
+        this._emit('onnx-chat-error', { error: message, during });
+      }
+
+      _updateControls() {
+        if (!this._rendered) return;
+        const generating = !!this._controller;
+        this._sendBtn.disabled = generating || !this._loadedModel;
+        this._stopBtn.disabled = !generating;
+        this._input.disabled = generating;
+      }
+
+      _emit(name, detail) {
+        this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+      }
+    }
+
+    if (!global.customElements.get(TAG_NAME)) global.customElements.define(TAG_NAME, OnnxChatElement);
+    return OnnxChatElement;
+  }
+
+  try {
+    if (typeof window !== 'undefined' && window.customElements) window.OnnxChatElement = defineElement();
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
@@ -4792,7 +4792,7 @@ const TRANSFORMERS_LIB = `var transformers = (() => {
         let e3 = await Ce2(ve2);
         return [e3, Fe2(e3)];
       }, Ie2 = (rd2(), V2(fe2)).default, Ae2 = async (e3, t3, n3) => {
-        if (!e3 && !t3 && Ie2 && ve2 && ke2(ve2)) return [void 0, Ie2];
+        if (!e3 && !t3 && Ie2 && ve2 && (ke2(ve2) || !n3)) return [void 0, Ie2];
         {
           let r3 = "ort-wasm-simd-threaded.jsep.mjs", s3 = e3 ?? Pe2(r3, t3), a3 = n3 && s3 && !ke2(s3, t3), o3 = a3 ? await Ce2(s3) : s3 ?? $e2(r3, t3);
           return [a3 ? o3 : void 0, await Se2(o3)];
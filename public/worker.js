@@ -1,13 +1,347 @@
+// Generated by build_lib.js from public/worker_protocol.js, public/models.js and src/worker_core.js. Do not edit; change the source and rerun `node build_lib.js`.
+// Use importScripts for classic worker support (required for file:// protocol).
+// The library is the vendored, patched copy built by build_lib.js
+// (public/transformers_lib.js), so nothing is fetched from a CDN.
+self.transformersBaseUrl = new URL('transformers.iife.js', self.location.href).href;
+importScripts('transformers_lib.js');
+importScripts(URL.createObjectURL(new Blob([TRANSFORMERS_LIB], { type: 'application/javascript' })));
+
+(function(global){
+  // Message protocol between the page and the model worker, shared by both
+  // sides (build_lib.js puts this file in front of src/worker_core.js).
+  //   request  (page -> worker): { v, id, type, data }
+  //   response (worker -> page): { v, id, request, status, ...fields }
+  // `v` is PROTOCOL_VERSION and `id` a unique request id ("r1", "r2", ...).
+  // Every response echoes the id and type (`request`) of the request it
+  // belongs to, so the page can drop a late `update` of an interrupted
+  // generation instead of appending it to the next answer.
+  // Each request ends with exactly one terminal response: its `done` status
+  // below, `cancelled` (a generation stopped by interrupt/unload, with the
+  // partial `output`) or `failed` ({ error }).
+  // Generations wait in the worker's queue (`queued { position }` until they
+  // start); `queue_status` responses with a null id report the queue state.
+  // On startup the page sends `hello` and the worker answers with its protocol
+  // version and capabilities, so stale generated worker files are detected.
+  const PROTOCOL_VERSION = 1;
+
+  // request type -> { data: expected shape, done: terminal status }
+  const REQUESTS = {
+    hello: { data: 'object', done: 'hello' },
+    check: { data: 'none', done: 'checked' },
+    model_registry: { data: 'object', done: 'registry_received' },
+    set_model: { data: 'object', done: 'model_changed', required: ['model_id'] },
+    local_model: { data: 'object', done: 'local_model_ready', required: ['model_id', 'files'] },
+    download: { data: 'object', done: 'download_done', required: ['model_id', 'dtype'] },
+    load: { data: 'none', done: 'ready' },
+    generate: { data: 'object', done: 'complete', required: ['messages'] },
+    interrupt: { data: 'optional', done: 'interrupted' },
+    queue: { data: 'none', done: 'queue_status' },
+    reset: { data: 'none', done: 'reset_done' },
+    unload: { data: 'none', done: 'unloaded' }
+  };
+
+  // Non-terminal statuses a request may report before it ends
+  const EVENTS = [
+    'loading', 'initiate', 'progress', 'done', 'progress_total', 'load_attempt', 'load_attempt_failed',
+    'download_progress', 'download_state', 'queued', 'start', 'update', 'token_debug', 'unloading'
+  ];
+
+  const TERMINAL = ['cancelled', 'failed'];
+
+  let nextId = 1;
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function createRequest(type, data) {
+    const message = { v: PROTOCOL_VERSION, id: 'r' + nextId++, type };
+    if (data !== undefined) message.data = data;
+    return message;
+  }
+
+  function createResponse(request, status, fields) {
+    return { ...fields, v: PROTOCOL_VERSION, id: request ? request.id : null, request: request ? request.type : null, status };
+  }
+
+  function isTerminal(type, status) {
+    return TERMINAL.includes(status) || (REQUESTS[type] && REQUESTS[type].done === status);
+  }
+
+  // Error message for a malformed request, or null when it is valid
+  function validateRequest(message) {
+    if (!isPlainObject(message)) return 'message must be an object';
+    if (message.v !== PROTOCOL_VERSION) return 'unsupported protocol version ' + message.v + ' (expected ' + PROTOCOL_VERSION + ')';
+    if (typeof message.id !== 'string' || !message.id) return 'missing request id';
+    const spec = REQUESTS[message.type];
+    if (!spec) return 'unknown request type "' + message.type + '"';
+    const { data } = message;
+    if (spec.data === 'none' && data !== undefined && data !== null) return message.type + ' takes no data';
+    if (spec.data === 'object' && !isPlainObject(data)) return message.type + ' data must be an object';
+    if (spec.data === 'optional' && data !== undefined && data !== null && !isPlainObject(data)) return message.type + ' data must be an object';
+    const missing = (spec.required || []).filter((field) => data[field] === undefined || data[field] === null);
+    if (missing.length) return message.type + ' data is missing ' + missing.join(', ');
+    if (message.type === 'generate') {
+      if (!Array.isArray(data.messages) || data.messages.some((m) => !isPlainObject(m) || typeof m.role !== 'string' || typeof m.content !== 'string')) {
+        return 'generate messages must be [{ role, content }] with string values';
+      }
+      if (data.options !== undefined && !isPlainObject(data.options)) return 'generate options must be an object';
+      if (data.priority !== undefined && !Number.isFinite(data.priority)) return 'generate priority must be a number';
+    }
+    if (message.type === 'local_model' && !Array.isArray(data.files)) return 'local_model files must be an array';
+    return null;
+  }
+
+  // Error message for a malformed response, or null when it is valid
+  function validateResponse(message) {
+    if (!isPlainObject(message)) return 'message must be an object';
+    if (message.v !== PROTOCOL_VERSION) return 'unsupported protocol version ' + message.v + ' (expected ' + PROTOCOL_VERSION + ')';
+    if (message.id !== null && typeof message.id !== 'string') return 'invalid request id';
+    if (typeof message.status !== 'string') return 'missing status';
+    const known = EVENTS.includes(message.status) || TERMINAL.includes(message.status)
+      || Object.values(REQUESTS).some((spec) => spec.done === message.status);
+    if (!known) return 'unknown status "' + message.status + '"';
+    if (message.status === 'failed' && typeof message.error !== 'string') return 'failed responses need an error message';
+    return null;
+  }
+
+  const WorkerProtocol = {
+    PROTOCOL_VERSION,
+    REQUESTS,
+    EVENTS,
+    createRequest,
+    createResponse,
+    isTerminal,
+    validateRequest,
+    validateResponse
+  };
+
+  try {
+    if (typeof window !== 'undefined') window.WorkerProtocol = WorkerProtocol;
+    if (typeof self !== 'undefined') self.WorkerProtocol = WorkerProtocol;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
+
+(function(global){
+  // Registry entries are checked against MODEL_ENTRY_SCHEMA at startup (see
+  // validateModelRegistry). Required: `friendly` (dropdown label) and `dtype`
+  // (default precision). Optional metadata:
+  //   dtypes         precisions the model may be loaded with (default [dtype])
+  //   devices        'webgpu' and/or 'wasm' (default ['webgpu', 'wasm'])
+  //   contextLength  maximum tokens of prompt + reply
+  //   downloadSize   approximate bytes downloaded for the default dtype
+  //   license        SPDX id or license name of the weights
+  //   thinking       emits <think>...</think> reasoning (default false)
+  //   systemRole     false when the chat template has no system role, so the
+  //                  system prompt is folded into the first user turn
+  //   systemPrompt   default system message for new conversations
+  //   generation     overrides of GENERATION_DEFAULTS
+  //   fallback       explicit load attempts after the chosen one, e.g.
+  //                  [{ device: 'webgpu', dtype: 'q4' }, { device: 'wasm', dtype: 'fp32' }]
+  //                  (default: derived from dtypes/devices, see modelFallbackLadder)
+  // Entries may also set `remoteHost`, `remotePathTemplate` and `revision` to
+  // download that model from somewhere other than the Hugging Face hub.
+  // `sha256` maps file paths to expected hashes, e.g.
+  //   sha256: { 'onnx/model_q4f16.onnx': '<64 hex chars>' }
+  // and downloaded files are verified against them (pin `revision` as well,
+  // since a hub branch can move to different weights).
+  // `local` and `custom` are set by the page for models loaded from disk or
+  // added through the "Add Model" dialog.
+
+  // Fallback generation settings; registry entries override them via `generation`.
+  // A temperature of 0 selects greedy decoding, `seed: null` samples non-deterministically.
+  const GENERATION_DEFAULTS = {
+    temperature: 0,
+    top_k: 50,
+    top_p: 1,
+    min_p: 0,
+    repetition_penalty: 1,
+    no_repeat_ngram_size: 0,
+    max_new_tokens: 2048,
+    seed: null
+  };
+
+  // Where model files are downloaded from, for every entry that does not set
+  // its own values. `remoteHost` may be relative to the page (e.g. './models/');
+  // `remotePathTemplate` expands {model} (the registry id) and {revision}.
+  // Examples:
+  //   Hugging Face hub:          'https://huggingface.co/', '{model}/resolve/{revision}/'
+  //   `python -m http.server`
+  //   over a folder of repos:    'http://localhost:8080/', '{model}/'
+  const MODEL_SOURCE_DEFAULTS = {
+    remoteHost: 'https://huggingface.co/',
+    remotePathTemplate: '{model}/resolve/{revision}/',
+    revision: 'main'
+  };
+
+  const MODEL_REGISTRY = {
+    'onnx-community/Llama-3.2-1B-Instruct-ONNX': { friendly: 'Llama‑3.2‑1B‑Instruct', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 131072, downloadSize: 1.1e9, license: 'llama3.2', thinking: false, systemPrompt: 'You are a helpful, concise assistant.', generation: { temperature: 0.6, top_p: 0.9 } },
+    'onnx-community/Qwen3-0.6B-ONNX': { friendly: 'Qwen3‑0.6B', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16', 'fp32'], devices: ['webgpu', 'wasm'], contextLength: 40960, downloadSize: 5.7e8, license: 'apache-2.0', thinking: true, generation: { temperature: 0.6, top_k: 20, top_p: 0.95 } },
+    'onnx-community/NanoChat-d32-ONNX': { friendly: 'NanoChat‑d32', dtype: 'q4', dtypes: ['q4'], devices: ['webgpu', 'wasm'], contextLength: 2048, downloadSize: 1.3e9, license: 'mit', thinking: false },
+    'onnx-community/gemma-3-270m-it-ONNX': { friendly: 'Gemma‑3‑270m‑IT', dtype: 'fp32', dtypes: ['fp32', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 32768, downloadSize: 1.1e9, license: 'gemma', thinking: false, systemRole: false, generation: { temperature: 1, top_k: 64, top_p: 0.95, repetition_penalty: 1.1, max_new_tokens: 1024 } },
+    'onnx-community/DeepSeek-R1-Distill-Qwen-1.5B-ONNX': { friendly: 'DeepSeek R1 (Qwen‑1.5B)', dtype: 'q4f16', dtypes: ['q4f16', 'q4', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 131072, downloadSize: 1.3e9, license: 'mit', thinking: true, generation: { temperature: 0.6, top_p: 0.95 } },
+    'onnx-community/LFM2-1.2B-ONNX': { friendly: 'LFM2‑1.2B', dtype: 'q4', dtypes: ['q4', 'q4f16', 'fp16'], devices: ['webgpu', 'wasm'], contextLength: 32768, downloadSize: 9e8, license: 'lfm1.0', thinking: false, generation: { temperature: 0.3, min_p: 0.15, repetition_penalty: 1.05 } }
+  };
+
+  // transformers.js precisions and ONNX Runtime backends an entry may name
+  const MODEL_DTYPES = ['q4f16', 'q4', 'fp16', 'q8', 'int8', 'uint8', 'bnb4', 'fp32'];
+  const MODEL_DEVICES = ['webgpu', 'wasm'];
+
+  // field -> { type, required?, values?, items?, check?, default? }
+  // `default` may be a function of the entry being normalized.
+  const MODEL_ENTRY_SCHEMA = {
+    friendly: { type: 'string', required: true },
+    dtype: { type: 'string', required: true, values: MODEL_DTYPES },
+    dtypes: { type: 'array', items: MODEL_DTYPES, default: (entry) => [entry.dtype] },
+    devices: { type: 'array', items: MODEL_DEVICES, default: () => MODEL_DEVICES.slice() },
+    contextLength: { type: 'number', check: (v) => Number.isInteger(v) && v > 0 },
+    downloadSize: { type: 'number', check: (v) => v > 0 },
+    license: { type: 'string' },
+    thinking: { type: 'boolean', default: () => false },
+    systemRole: { type: 'boolean', default: () => true },
+    systemPrompt: { type: 'string' },
+    generation: { type: 'object', check: (v) => Object.keys(v).every((k) => k in GENERATION_DEFAULTS) },
+    fallback: { type: 'array', check: (v) => v.every((step) => step && MODEL_DEVICES.includes(step.device) && MODEL_DTYPES.includes(step.dtype)) },
+    remoteHost: { type: 'string' },
+    remotePathTemplate: { type: 'string' },
+    revision: { type: 'string' },
+    sha256: { type: 'object', check: (v) => Object.values(v).every((h) => /^[0-9a-f]{64}$/i.test(h)) },
+    local: { type: 'boolean' },
+    custom: { type: 'boolean' }
+  };
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  // Check one entry; returns { entry, errors } where `entry` has defaults
+  // filled in (and is null when there are errors)
+  function validateModelEntry(modelId, entry) {
+    const errors = [];
+    if (typeOf(entry) !== 'object') return { entry: null, errors: [modelId + ': entry must be an object'] };
+    Object.keys(entry).forEach((field) => {
+      if (!(field in MODEL_ENTRY_SCHEMA)) errors.push(modelId + ': unknown field "' + field + '"');
+    });
+    for (const [field, spec] of Object.entries(MODEL_ENTRY_SCHEMA)) {
+      const value = entry[field];
+      if (value === undefined) {
+        if (spec.required) errors.push(modelId + ': missing "' + field + '"');
+        continue;
+      }
+      if (typeOf(value) !== spec.type) {
+        errors.push(modelId + ': "' + field + '" must be a' + (/^[aeiou]/.test(spec.type) ? 'n ' : ' ') + spec.type);
+      } else if (spec.values && !spec.values.includes(value)) {
+        errors.push(modelId + ': "' + field + '" must be one of ' + spec.values.join(', '));
+      } else if (spec.items && (!value.length || value.some((item) => !spec.items.includes(item)))) {
+        errors.push(modelId + ': "' + field + '" must list values from ' + spec.items.join(', '));
+      } else if (spec.check && !spec.check(value)) {
+        errors.push(modelId + ': invalid "' + field + '"');
+      }
+    }
+    if (!errors.length && Array.isArray(entry.dtypes) && !entry.dtypes.includes(entry.dtype)) {
+      errors.push(modelId + ': "dtype" must be one of its "dtypes"');
+    }
+    if (errors.length) return { entry: null, errors };
+    const normalized = { ...entry };
+    for (const [field, spec] of Object.entries(MODEL_ENTRY_SCHEMA)) {
+      if (normalized[field] === undefined && spec.default) normalized[field] = spec.default(normalized);
+    }
+    return { entry: normalized, errors };
+  }
+
+  // Order in which dtypes are tried on each device when a load fails. fp16
+  // variants are left out for WASM, whose CPU kernels lack fp16 support.
+  const FALLBACK_DTYPE_ORDER = {
+    webgpu: ['q4f16', 'q4', 'fp16', 'q8', 'int8', 'uint8', 'bnb4', 'fp32'],
+    wasm: ['q4', 'q8', 'int8', 'uint8', 'bnb4', 'fp32']
+  };
+
+  // Load attempts for a validated entry, starting with `start` ({ device, dtype }).
+  // Unless the entry lists its own `fallback`, the ladder steps down the
+  // entry's dtypes on the starting device, then moves on to the next device
+  // (webgpu before wasm), e.g. webgpu q4f16 -> webgpu q4 -> webgpu fp32 ->
+  // wasm q4 -> wasm fp32. `devices` narrows the entry's devices to what the
+  // browser offers.
+  function modelFallbackLadder(entry, start, devices) {
+    const usable = MODEL_DEVICES.filter((d) => entry.devices.includes(d) && (!devices || devices.includes(d)));
+    const steps = [start];
+    if (Array.isArray(entry.fallback)) {
+      steps.push(...entry.fallback.filter((step) => usable.includes(step.device)));
+    } else {
+      usable.slice(Math.max(0, usable.indexOf(start.device))).forEach((device) => {
+        const order = FALLBACK_DTYPE_ORDER[device];
+        const from = device === start.device ? order.indexOf(start.dtype) + 1 : 0;
+        order.slice(from).filter((dtype) => entry.dtypes.includes(dtype)).forEach((dtype) => steps.push({ device, dtype }));
+      });
+    }
+    const seen = new Set();
+    return steps.filter((step) => {
+      const key = step.device + '/' + step.dtype;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Validate every entry in place: valid entries get their defaults, invalid
+  // ones are removed. Returns the error messages.
+  function validateModelRegistry(registry) {
+    const errors = [];
+    Object.keys(registry).forEach((modelId) => {
+      const result = validateModelEntry(modelId, registry[modelId]);
+      if (result.entry) registry[modelId] = result.entry;
+      else delete registry[modelId];
+      errors.push(...result.errors);
+    });
+    return errors;
+  }
+
+  try {
+    if (typeof window !== 'undefined') {
+      window.MODEL_REGISTRY = MODEL_REGISTRY;
+      window.GENERATION_DEFAULTS = GENERATION_DEFAULTS;
+      window.MODEL_SOURCE_DEFAULTS = MODEL_SOURCE_DEFAULTS;
+      window.MODEL_ENTRY_SCHEMA = MODEL_ENTRY_SCHEMA;
+      window.validateModelEntry = validateModelEntry;
+      window.validateModelRegistry = validateModelRegistry;
+      window.modelFallbackLadder = modelFallbackLadder;
+    }
+    if (typeof self !== 'undefined') {
+      self.MODEL_REGISTRY = MODEL_REGISTRY;
+      self.GENERATION_DEFAULTS = GENERATION_DEFAULTS;
+      self.MODEL_SOURCE_DEFAULTS = MODEL_SOURCE_DEFAULTS;
+      self.MODEL_ENTRY_SCHEMA = MODEL_ENTRY_SCHEMA;
+      self.validateModelEntry = validateModelEntry;
+      self.validateModelRegistry = validateModelRegistry;
+      self.modelFallbackLadder = modelFallbackLadder;
+    }
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));
+
 /*
- * worker.js – Web Worker that runs the Qwen3‑0.6B model in the browser.
+ * worker_core.js – the model worker, shared by both ways of starting it.
  * ---------------------------------------------------------------
- * This script is loaded as a classic Web Worker (via importScripts) to
- * work around the file:// security restrictions. It imports the
- * HuggingFace Transformers library, sets up the model pipeline, and
- * communicates with the main thread via postMessage.
+ * This is the single source of the worker logic. build_lib.js turns it into
+ *   - public/worker.js      a standalone classic worker that importScripts()
+ *                           the bundled library next to it, and
+ *   - public/worker_lib.js  `const WORKER_CODE = "..."`, which app.js appends
+ *                           to the inlined library to start a Blob worker
+ *                           (the only option for pages opened from file://).
+ * Both variants define self.transformers and self.transformersBaseUrl (and
+ * the Blob variant optionally self.ORT_WASM_BASE64) before this code runs.
+ * It sets up the model pipeline and talks to the main thread with the
+ * request/response messages of public/worker_protocol.js. build_lib.js
+ * bundles that file and public/models.js (for GENERATION_DEFAULTS) in front
+ * of this file.
  */
-// Use importScripts for classic worker support (required for file:// protocol)
-importScripts('https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.0.0/dist/transformers.min.js');
 
 // Destructure from the global 'transformers' object
 const {
@@ -15,7 +349,98 @@ const {
   AutoModelForCausalLM,
   TextStreamer,
   InterruptableStoppingCriteria,
-} = transformers;
+  LogitsProcessor,
+} = self.transformers;
+
+// Resolve the ONNX Runtime WASM binary locally (vendored by build_lib.js).
+// Over http(s) it is loaded relative to transformersBaseUrl. Blob workers
+// started from file:// cannot fetch local files, so the page passes in the
+// inlined copy from public/ort_wasm_lib.js instead.
+// The library defaults wasmPaths to jsdelivr, so it is always overridden.
+const ORT_WASM_FILE = 'ort-wasm-simd-threaded.jsep.wasm';
+function configureWasm() {
+  const env = self.transformers.env;
+  if (!env || !env.wasm) return;
+  env.wasm.wasmPaths = { wasm: new URL(ORT_WASM_FILE, self.transformersBaseUrl || self.location.href).href };
+  if (self.ORT_WASM_BASE64) {
+    const binary = atob(self.ORT_WASM_BASE64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    env.wasm.wasmBinary = bytes.buffer;
+    self.ORT_WASM_BASE64 = null;
+  }
+}
+configureWasm();
+
+// Models picked from disk ("Load from Disk"): model id ("local/<folder>") ->
+// Map of path relative to the model folder (e.g. "onnx/model_q4f16.onnx") -> File
+const localModelFiles = new Map();
+
+// Maps a lookup key from transformers.js (a local path such as
+// "/models/local/x/config.json" or a hub URL such as
+// "https://huggingface.co/local/x/resolve/main/config.json") to a picked file
+function findLocalModelFile(key) {
+  for (const [modelId, files] of localModelFiles) {
+    const at = key.indexOf(modelId + '/');
+    if (at === -1) continue;
+    const path = decodeURIComponent(key.slice(at + modelId.length + 1)).replace(/^resolve\/[^\/]+\//, '');
+    if (files.has(path)) return files.get(path);
+  }
+  return null;
+}
+
+let browserCachePromise = null;
+function openBrowserCache() {
+  if (typeof caches === 'undefined') return Promise.resolve(null);
+  browserCachePromise ??= caches.open('transformers-cache').catch((e) => {
+    console.warn('Browser cache unavailable:', e);
+    return null;
+  });
+  return browserCachePromise;
+}
+
+// Fetch/cache layer for transformers.js: every model file is looked up here
+// before any network request. Files of local models are served from the
+// picked File objects, files already in the browser cache from there, and
+// files of the model being loaded are downloaded into OPFS (resumable and
+// verified, see downloadToStore) and served from disk.
+const modelFileCache = {
+  async match(key) {
+    const file = findLocalModelFile(String(key));
+    if (file) return new Response(file, { headers: { 'Content-Length': String(file.size) } });
+    const cache = await openBrowserCache();
+    const cached = cache ? await cache.match(key) : undefined;
+    return cached || matchActiveModelFile(String(key));
+  },
+  async put(key, response) {
+    const cache = await openBrowserCache();
+    if (cache) await cache.put(key, response);
+  },
+};
+self.transformers.env.useCustomCache = true;
+self.transformers.env.customCache = modelFileCache;
+
+// Where hub models are downloaded from. The main thread sends the resolved
+// { remoteHost, remotePathTemplate, revision } with "set_model"; without one
+// the library defaults (huggingface.co, main) apply.
+const DEFAULT_MODEL_SOURCE = {
+  remoteHost: self.transformers.env.remoteHost,
+  remotePathTemplate: self.transformers.env.remotePathTemplate,
+  revision: 'main',
+};
+
+// Point self.transformers.env at the model's source and return the matching
+// from_pretrained options. Local models must never fall back to the hub:
+// missing optional files are skipped and missing required files fail the load.
+function modelSourceOptions(modelId, source) {
+  const isLocal = localModelFiles.has(modelId);
+  self.transformers.env.allowLocalModels = isLocal;
+  if (isLocal) return { local_files_only: true };
+  const resolved = { ...DEFAULT_MODEL_SOURCE, ...(source || {}) };
+  self.transformers.env.remoteHost = resolved.remoteHost;
+  self.transformers.env.remotePathTemplate = resolved.remotePathTemplate;
+  return { revision: resolved.revision };
+}
 
 console.log('Imported dependencies via importScripts');
 
@@ -25,7 +450,7 @@ console.log('Imported dependencies via importScripts');
  * failure back to the main thread. It is called during the model
  * loading phase to ensure the environment can run the model.
  */
-async function check() {
+async function check(request) {
   console.log('Running WebGPU check');
   try {
     const adapter = await navigator.gpu.requestAdapter();
@@ -33,12 +458,10 @@ async function check() {
     if (!adapter) {
       throw new Error("WebGPU is not supported (no adapter found)");
     }
+    reply(request, 'checked', { data: true });
   } catch (e) {
     console.error('WebGPU check failed:', e);
-    self.postMessage({
-      status: "error",
-      data: e.toString(),
-    });
+    reply(request, 'failed', { error: e.toString() });
   }
 }
 
@@ -51,48 +474,198 @@ async function check() {
 class TextGenerationPipeline {
   static model_id = "onnx-community/Qwen3-0.6B-ONNX";
 
-  static async getInstance(progress_callback = null) {
+  // Load the tokenizer and the model on the device/dtype of the attempt
+  // (default: the set_model choice, else the registry entry's dtype).
+  // Throws on failure; load() decides whether to try another configuration.
+  // Downloads made on the way report their state to `request`.
+  static async getInstance(progress_callback = null, attempt = null, request = null) {
     console.log('Getting pipeline instance');
-    try {
-      this.tokenizer ??= await AutoTokenizer.from_pretrained(this.model_id, {
-        progress_callback,
-      });
-      console.log('Tokenizer loaded successfully');
-
-      // Choose device/dtype dynamically: prefer an explicit _preferred_device if set,
-      // otherwise use WebGPU. Dtype is selected from _preferred_dtype or the centralized registry.
-      const preferredDevice = this._preferred_device ?? 'webgpu';
-      const preferredDtype = this._preferred_dtype || (this._model_registry && this._model_registry[this.model_id] && this._model_registry[this.model_id].dtype) || (/gemma/i.test(this.model_id) ? 'fp32' : (/nanochat/i.test(this.model_id) ? 'q4' : 'q4f16'));
-      this.model ??= await AutoModelForCausalLM.from_pretrained(this.model_id, {
-        dtype: preferredDtype,
-        device: preferredDevice,
+    const sourceOptions = modelSourceOptions(this.model_id, this._source);
+    activeModelDownload = { modelId: this.model_id, source: this._source, progress_callback, request };
+    this.tokenizer ??= await AutoTokenizer.from_pretrained(this.model_id, {
+      ...sourceOptions,
+      progress_callback,
+    });
+    console.log('Tokenizer loaded successfully');
+
+    if (!this.model) {
+      const entry = this._model_registry && this._model_registry[this.model_id];
+      const device = (attempt && attempt.device) || this._preferred_device || 'webgpu';
+      const dtype = (attempt && attempt.dtype) || this._preferred_dtype || (entry && entry.dtype);
+      if (!dtype) throw new Error('No dtype for ' + this.model_id + ': add it to the model registry');
+      this.model = await AutoModelForCausalLM.from_pretrained(this.model_id, {
+        ...sourceOptions,
+        dtype,
+        device,
         progress_callback,
       });
-      console.log('Model loaded successfully');
+      this._loaded = { device, dtype };
+      console.log('Model loaded successfully on', device, dtype);
+    }
+    return [this.tokenizer, this.model];
+  }
+}
 
-      return [this.tokenizer, this.model];
-    } catch (error) {
-      console.error('Failed to load model:', error);
-      let errorMessage = error?.message || error?.toString() || `Unknown error (${typeof error}): ${JSON.stringify(error)}`;
-
-      // Handle specific ONNX/WebGPU errors
-      if (errorMessage.includes('3944596720') || errorMessage.includes('WebGPU')) {
-        errorMessage = 'WebGPU device creation failed. Try refreshing the page or check your GPU drivers.';
-      } else if (errorMessage.includes('onnxruntime') || errorMessage.includes('session')) {
-        errorMessage = 'Model initialization failed. The model may be corrupted or incompatible.';
-      } else if (errorMessage.includes('memory') || errorMessage.includes('OOM')) {
-        errorMessage = 'Insufficient GPU memory. Try closing other tabs or use a device with more VRAM.';
+// Readable message for a failed load, with hints for common ONNX/WebGPU errors
+function describeLoadError(error) {
+  const message = error?.message || error?.toString() || ('Unknown error (' + typeof error + '): ' + JSON.stringify(error));
+  if (message.includes('3944596720') || message.includes('WebGPU')) {
+    return 'WebGPU device creation failed. Try refreshing the page or check your GPU drivers.';
+  } else if (message.includes('onnxruntime') || message.includes('session')) {
+    return 'Model initialization failed. The model may be corrupted or incompatible.';
+  } else if (message.includes('memory') || message.includes('OOM')) {
+    return 'Insufficient GPU memory. Try closing other tabs or use a device with more VRAM.';
+  }
+  return message;
+}
+
+// Generation options accepted by the "generate" message. Values are merged as
+// GENERATION_DEFAULTS (public/models.js, shared with the page) < registry
+// entry "generation" < request options, then validated against these ranges.
+// A temperature of 0 means greedy decoding.
+const GENERATION_PARAM_SPEC = {
+  temperature: { min: 0, max: 2 },
+  top_k: { min: 0, max: 1000, integer: true },
+  top_p: { min: 0.01, max: 1 },
+  min_p: { min: 0, max: 1 },
+  repetition_penalty: { min: 0.5, max: 2 },
+  no_repeat_ngram_size: { min: 0, max: 20, integer: true },
+  max_new_tokens: { min: 1, max: 8192, integer: true },
+  seed: { min: 0, max: 4294967295, integer: true, nullable: true },
+};
+
+function resolveGenerationOptions(options) {
+  const registry = TextGenerationPipeline._model_registry;
+  const entry = registry && registry[TextGenerationPipeline.model_id];
+  const requested = options && typeof options === 'object' ? options : {};
+  const errors = [];
+  Object.keys(requested).forEach(name => {
+    if (!(name in GENERATION_PARAM_SPEC)) errors.push('unknown option "' + name + '"');
+  });
+
+  const merged = { ...(entry && entry.generation), ...requested };
+  const resolved = {};
+  for (const [name, spec] of Object.entries(GENERATION_PARAM_SPEC)) {
+    let value = name in merged ? merged[name] : self.GENERATION_DEFAULTS[name];
+    if (spec.nullable && (value === null || value === undefined || value === '')) {
+      resolved[name] = null;
+      continue;
+    }
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(name + ' must be a number');
+    } else if (spec.integer && !Number.isInteger(value)) {
+      errors.push(name + ' must be an integer');
+    } else if (value < spec.min || value > spec.max) {
+      errors.push(name + ' must be between ' + spec.min + ' and ' + spec.max);
+    } else {
+      resolved[name] = value;
+    }
+  }
+  if (errors.length) {
+    throw new Error('Invalid generation options: ' + errors.join('; '));
+  }
+  return resolved;
+}
+
+// The bundled sampler only applies temperature and top_k, so nucleus (top_p)
+// and min_p filtering are done here by masking logits before sampling.
+class ProbabilityFilterLogitsWarper extends LogitsProcessor {
+  constructor({ top_p, min_p }) {
+    super();
+    this.top_p = top_p;
+    this.min_p = min_p;
+  }
+
+  _call(input_ids, logits) {
+    for (let i = 0; i < input_ids.length; ++i) {
+      this.filter(logits[i].data);
+    }
+    return logits;
+  }
+
+  filter(data) {
+    let maxLogit = -Infinity;
+    for (let i = 0; i < data.length; ++i) {
+      if (data[i] > maxLogit) maxLogit = data[i];
+    }
+    if (!Number.isFinite(maxLogit)) return;
+
+    // min_p keeps tokens whose probability is at least min_p * p(max)
+    const minLogit = this.min_p > 0 ? maxLogit + Math.log(this.min_p) : -Infinity;
+    // Tokens more than 30 nats below the max are negligible for top_p; skipping
+    // them keeps the sort small on 150k-token vocabularies.
+    const candidateFloor = Math.max(minLogit, maxLogit - 30);
+    const candidates = [];
+    let total = 0;
+    for (let i = 0; i < data.length; ++i) {
+      if (data[i] < minLogit) {
+        data[i] = -Infinity;
+      } else if (data[i] >= candidateFloor) {
+        candidates.push(i);
+        total += Math.exp(data[i] - maxLogit);
       }
+    }
+    if (this.top_p >= 1) return;
 
-      self.postMessage({
-        status: "error",
-        data: `Model loading failed: ${errorMessage}`
-      });
-      throw error;
+    candidates.sort((a, b) => data[b] - data[a]);
+    let cumulative = 0;
+    let keep = 0;
+    while (keep < candidates.length && cumulative < this.top_p) {
+      cumulative += Math.exp(data[candidates[keep]] - maxLogit) / total;
+      keep++;
+    }
+    const threshold = data[candidates[Math.max(keep, 1) - 1]];
+    for (let i = 0; i < data.length; ++i) {
+      if (data[i] < threshold) data[i] = -Infinity;
     }
   }
 }
 
+// Deterministic PRNG (mulberry32) used in place of Math.random while a seeded
+// generation runs, since the library samples with Math.random.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Merge system messages into the first user turn for chat templates that
+// reject a "system" role (e.g. Gemma).
+function foldSystemPrompt(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const rest = messages.filter(m => m.role !== 'system');
+  if (!system) return rest;
+  const firstUser = rest.findIndex(m => m.role === 'user');
+  if (firstUser === -1) return [{ role: 'user', content: system }, ...rest];
+  return rest.map((m, i) => (i === firstUser ? { ...m, content: system + '\n\n' + m.content } : m));
+}
+
+// Apply the chat template, folding the system prompt when the registry says the
+// template has no system role or when the template throws on one.
+function applyChatTemplate(tokenizer, messages) {
+  const registry = TextGenerationPipeline._model_registry;
+  const entry = registry && registry[TextGenerationPipeline.model_id];
+  const templateOptions = { add_generation_prompt: true, return_dict: true };
+  const hasSystem = messages.some(m => m.role === 'system');
+  if (hasSystem && entry && entry.systemRole === false) {
+    return tokenizer.apply_chat_template(foldSystemPrompt(messages), templateOptions);
+  }
+  try {
+    return tokenizer.apply_chat_template(messages, templateOptions);
+  } catch (error) {
+    if (!hasSystem) throw error;
+    console.warn('Chat template rejected the system role; folding it into the first user turn:', error);
+    return tokenizer.apply_chat_template(foldSystemPrompt(messages), templateOptions);
+  }
+}
+
+
 /*
  * Stopping criteria – allows the generation to be interrupted by the
  * user. An instance of `InterruptableStoppingCriteria` is shared across
@@ -101,6 +674,48 @@ class TextGenerationPipeline {
  */
 const stopping_criteria = new InterruptableStoppingCriteria();
 let past_key_values_cache = null;
+// Token ids (prompt + generated) that produced past_key_values_cache
+let past_sequence_cache = null;
+
+// Release GPU buffers held by a KV cache; CPU tensors are left to the GC
+function disposePastKeyValues(cache) {
+  if (!cache) return;
+  for (const tensor of Object.values(cache)) {
+    try {
+      if (tensor && tensor.location === 'gpu-buffer' && typeof tensor.dispose === 'function') tensor.dispose();
+    } catch (e) {
+      console.warn('KV cache dispose failed:', e);
+    }
+  }
+}
+
+// Drop the multi-turn KV cache (reset, model switch, unload, edited history)
+function invalidatePastKeyValues(reason) {
+  if (past_key_values_cache) console.log('Invalidating KV cache:', reason);
+  disposePastKeyValues(past_key_values_cache);
+  past_key_values_cache = null;
+  past_sequence_cache = null;
+}
+
+// Number of tokens already encoded in the KV cache. The last generated token
+// is never fed back through the model, so prefer the tensor's sequence axis.
+function pastKeyValuesLength() {
+  if (!past_key_values_cache || !past_sequence_cache) return 0;
+  const key = Object.keys(past_key_values_cache).find(k => k.startsWith('past_key_values.'));
+  if (key) return past_key_values_cache[key].dims.at(-2);
+  return past_sequence_cache.length - 1;
+}
+
+// The cache can only be reused when the new prompt starts with exactly the
+// tokens it was built from and adds at least one new token after them.
+function canReusePastKeyValues(inputIds) {
+  const pastLength = pastKeyValuesLength();
+  if (pastLength <= 0 || inputIds.length <= pastLength) return false;
+  for (let i = 0; i < pastLength; i++) {
+    if (inputIds[i] !== past_sequence_cache[i]) return false;
+  }
+  return true;
+}
 
 /*
  * generate(messages) – core generation loop.
@@ -108,15 +723,21 @@ let past_key_values_cache = null;
  * back to the UI, and separates any `<think>` tags into a separate
  * thought payload.
  */
-async function generate(messages) {
+async function generate({ messages, options }, request) {
   console.log('Starting generation with messages:', messages);
+  let generation_options;
+  try {
+    generation_options = resolveGenerationOptions(options);
+  } catch (error) {
+    console.error(error.message);
+    reply(request, 'failed', { error: error.message });
+    return;
+  }
+  console.log('Generation options:', generation_options);
   const [tokenizer, model] = await TextGenerationPipeline.getInstance();
   console.log('Got tokenizer and model instances');
 
-  const inputs = tokenizer.apply_chat_template(messages, {
-    add_generation_prompt: true,
-    return_dict: true,
-  });
+  const inputs = applyChatTemplate(tokenizer, messages);
   console.log('Applied chat template:', inputs);
 
   let state = "thinking";
@@ -161,7 +782,7 @@ async function generate(messages) {
         const tokenDebugEndMatches = (decoded || '').match(END_OF_TURN_RE);
         if (tokenDebugEndMatches) tokenDebugEndMatches.forEach(m => console.log('End-of-turn (token_debug):', m));
         const tokenDebugSafe = (decoded || '').replace(SPECIAL_TOKEN_RE, '').replace(END_OF_TURN_RE, '');
-        self.postMessage({ status: 'token_debug', tokens: tokenIds, text: tokenDebugSafe });
+        reply(request, 'token_debug', { tokens: tokenIds, text: tokenDebugSafe });
       }
     } catch (e) {
       console.warn('Token decode failed:', e);
@@ -201,8 +822,7 @@ async function generate(messages) {
     thought = logAndStripTokens(thought, 'thought');
     answer = logAndStripTokens(answer, 'answer');
 
-    self.postMessage({
-      status: "update",
+    reply(request, 'update', {
       output: answer,
       thought,
       tps,
@@ -219,19 +839,53 @@ async function generate(messages) {
   });
   console.log('Created streamer');
 
-  self.postMessage({ status: "start" });
+  reply(request, 'start');
 
-  const { past_key_values, sequences } = await model.generate({
-    ...inputs,
-    do_sample: false,
-    max_new_tokens: 2048,
-    streamer,
-    stopping_criteria,
-    return_dict_in_generate: true,
-  });
+  // Reuse the previous turn's KV cache when the new prompt extends it; the
+  // model then only encodes the new suffix of the conversation.
+  const inputIds = inputs.input_ids.tolist()[0];
+  const reuseCache = canReusePastKeyValues(inputIds);
+  if (reuseCache) {
+    console.log('Reusing KV cache: ' + pastKeyValuesLength() + ' cached tokens, ' + (inputIds.length - pastKeyValuesLength()) + ' new tokens');
+  } else {
+    invalidatePastKeyValues('prompt does not extend cached tokens');
+  }
+  // generate() disposes the KV tensors it is handed, so release our reference up front
+  const past_key_values_input = reuseCache ? past_key_values_cache : null;
+  past_key_values_cache = null;
+  past_sequence_cache = null;
+
+  const logits_processor = [];
+  if (generation_options.temperature > 0 && (generation_options.top_p < 1 || generation_options.min_p > 0)) {
+    logits_processor.push(new ProbabilityFilterLogitsWarper(generation_options));
+  }
+  const nativeRandom = Math.random;
+  if (generation_options.seed !== null) Math.random = seededRandom(generation_options.seed);
+
+  let generation_output;
+  try {
+    generation_output = await model.generate({
+      ...inputs,
+      past_key_values: past_key_values_input,
+      do_sample: generation_options.temperature > 0,
+      temperature: generation_options.temperature,
+      top_k: generation_options.top_k,
+      repetition_penalty: generation_options.repetition_penalty,
+      no_repeat_ngram_size: generation_options.no_repeat_ngram_size,
+      max_new_tokens: generation_options.max_new_tokens,
+      logits_processor: logits_processor,
+      streamer,
+      stopping_criteria,
+      return_dict_in_generate: true,
+    });
+  } finally {
+    Math.random = nativeRandom;
+  }
+  const { past_key_values, sequences } = generation_output;
   console.log('Generation complete:', sequences);
 
   past_key_values_cache = past_key_values;
+  past_sequence_cache = sequences.tolist()[0];
 
   let decoded = tokenizer.batch_decode(sequences, { skip_special_tokens: true });
   // decoded may be an array of strings; log and strip any special tokens
@@ -251,159 +905,696 @@ async function generate(messages) {
     decoded = decoded.replace(SPECIAL_TOKEN_RE, '').replace(END_OF_TURN_RE, '');
   }
   console.log('Decoded output:', decoded);
-  self.postMessage({ status: "complete", output: decoded });
+  // An interrupted generation still returns what it produced so far
+  reply(request, stopping_criteria.interrupted ? 'cancelled' : 'complete', { output: decoded });
 }
 
-/*
- * handleProgress(event) – reports file download progress to the UI.
- * It distinguishes between initiation, incremental progress, and
- * completion, sending appropriate status messages.
- */
-function handleProgress(event) {
-  console.log('Progress event:', event);
-  if (!event.total) return;
+// Progress of every file of the current load: file -> { file, loaded, total, done }.
+// Loaded bytes only move forward: files served from OPFS are reported once
+// while downloading and again while the library reads them back.
+// `request` is the load request the progress responses belong to.
+const loadProgress = { request: null, files: new Map(), samples: [], lastPost: 0 };
+const PROGRESS_INTERVAL = 200; // ms between aggregate updates
+const SPEED_WINDOW = 5000; // ms of samples used for the download speed
+
+function resetLoadProgress(request) {
+  loadProgress.request = request;
+  loadProgress.files.clear();
+  loadProgress.samples = [];
+  loadProgress.lastPost = 0;
+}
+
+// Overall bytes, speed (bytes/s) and ETA (s) across all files seen so far
+function aggregateProgress() {
+  const files = [...loadProgress.files.values()];
+  const loaded = files.reduce((sum, f) => sum + f.loaded, 0);
+  const total = files.reduce((sum, f) => sum + f.total, 0);
+  const now = Date.now();
+  const samples = loadProgress.samples;
+  samples.push([now, loaded]);
+  while (samples.length > 2 && now - samples[0][0] > SPEED_WINDOW) samples.shift();
+  const elapsed = (now - samples[0][0]) / 1000;
+  const speed = elapsed > 0 ? Math.max(0, loaded - samples[0][1]) / elapsed : 0;
+  return {
+    loaded,
+    total,
+    progress: total ? Math.min(100, (loaded / total) * 100) : 0,
+    speed,
+    eta: speed > 0 ? Math.max(0, total - loaded) / speed : null,
+    files: files.map((f) => ({ ...f })),
+  };
+}
+
+function reportLoadProgress(force) {
+  const now = Date.now();
+  if (!force && now - loadProgress.lastPost < PROGRESS_INTERVAL) return;
+  loadProgress.lastPost = now;
+  reply(loadProgress.request, 'progress_total', aggregateProgress());
+}
 
+// Handles progress events during model downloading: per-file initiate,
+// progress and done messages plus a throttled progress_total aggregate
+function handleProgress(event) {
   const friendlyName = TextGenerationPipeline?.model_id || "onnx-community/Qwen3-0.6B-ONNX";
-  const fileLabel = event.url || friendlyName;
+  const fileLabel = event.file || event.url || friendlyName;
 
-  if (event.loaded === 0) {
-    console.log('Starting file load:', event.url);
-    self.postMessage({
-      status: "initiate",
-      file: fileLabel,
-      progress: 0,
-      total: event.total,
-    });
-  } else if (event.loaded < event.total) {
-    const percent = Math.round((event.loaded / event.total) * 100);
-    console.log(`Loading progress: ${percent}%`);
-    self.postMessage({
-      status: "progress",
-      file: fileLabel,
-      progress: percent,
-      total: 100,
-    });
-  } else {
-    console.log('File load complete:', event.url);
-    self.postMessage({
-      status: "done",
+  let entry = loadProgress.files.get(fileLabel);
+  if (!entry) {
+    entry = { file: fileLabel, loaded: 0, total: 0, done: false };
+    loadProgress.files.set(fileLabel, entry);
+    reply(loadProgress.request, 'initiate', { file: fileLabel, progress: 0, total: event.total || 0 });
+  }
+  if (event.total) entry.total = Math.max(entry.total, event.total);
+  if (typeof event.loaded === 'number') entry.loaded = Math.max(entry.loaded, event.loaded);
+
+  const finished = !entry.done && (event.status === "done" || (entry.total > 0 && entry.loaded >= entry.total));
+  if (finished) {
+    entry.done = true;
+    entry.loaded = entry.total = Math.max(entry.total, entry.loaded);
+    reply(loadProgress.request, 'done', { file: fileLabel, loaded: entry.loaded, total: entry.total });
+  } else if (!entry.done && entry.total) {
+    reply(loadProgress.request, 'progress', {
       file: fileLabel,
+      loaded: entry.loaded,
+      total: entry.total,
+      progress: Math.round((entry.loaded / entry.total) * 100),
     });
   }
+  reportLoadProgress(finished);
 }
 
 /*
  * load() – orchestrates model loading and warm‑up.
- * Checks WebGPU support, loads the tokenizer and model (with progress
- * callbacks), runs a tiny warm‑up generation to compile shaders, and
- * notifies the main thread when the model is ready.
+ * Tries each configuration of the fallback ladder in turn (checking WebGPU
+ * support for WebGPU attempts), loads the tokenizer and model with progress
+ * callbacks, runs a tiny warm‑up generation to compile shaders, and reports
+ * every attempt plus the configuration that finally worked.
  */
-async function load() {
+async function load(request) {
   console.log('Starting model load');
-  self.postMessage({ status: "loading", data: "Checking WebGPU support..." });
+  const modelId = TextGenerationPipeline.model_id;
+  // Configurations to try in order: the fallback ladder sent with set_model,
+  // or just the chosen device/dtype
+  const ladder = TextGenerationPipeline._fallbacks && TextGenerationPipeline._fallbacks.length
+    ? TextGenerationPipeline._fallbacks
+    : [{ device: TextGenerationPipeline._preferred_device || 'webgpu', dtype: TextGenerationPipeline._preferred_dtype }];
+  resetLoadProgress(request);
+  let lastError = null;
 
-  try {
-    // First check for WebGPU support
-    console.log('Running WebGPU check');
-    const adapter = await navigator.gpu.requestAdapter();
-    console.log('Got adapter:', adapter);
-    if (!adapter) {
-      throw new Error("WebGPU is not supported (no adapter found)");
-    }
-
-    // If we get here, WebGPU is supported, so proceed with loading the model
-    const modelId = TextGenerationPipeline?.model_id || "onnx-community/Qwen3-0.6B-ONNX";
-    self.postMessage({ status: "loading", data: `Loading ${modelId}...` });
+  for (let index = 0; index < ladder.length; index++) {
+    const attempt = ladder[index];
+    const report = { ...attempt, index, count: ladder.length };
+    reply(request, 'load_attempt', { model: modelId, data: report });
+    try {
+      // Check for WebGPU support unless this attempt runs on the CPU (WASM)
+      if (attempt.device === 'webgpu') {
+        reply(request, 'loading', { data: "Checking WebGPU support..." });
+        const adapter = navigator.gpu ? await navigator.gpu.requestAdapter() : null;
+        console.log('Got adapter:', adapter);
+        if (!adapter) {
+          throw new Error("WebGPU is not supported (no adapter found)");
+        }
+      }
 
-    const [tokenizer, model] = await TextGenerationPipeline.getInstance(handleProgress);
-    console.log('Model loaded successfully');
+      reply(request, 'loading', { data: 'Loading ' + modelId + '...' });
+      const [tokenizer, model] = await TextGenerationPipeline.getInstance(handleProgress, attempt, request);
 
-    self.postMessage({ status: "loading", data: "Compiling shaders and warming up model..." });
-    const inputs = tokenizer("a");
-    console.log('Warmup inputs:', inputs);
-    await model.generate({ ...inputs, max_new_tokens: 1 });
-    console.log('Warmup complete');
-    self.postMessage({ status: "ready", model: modelId });
-  } catch (error) {
-    console.error('Model load failed:', error);
-    const errorMessage = error?.message || error?.toString() || `Unknown error (${typeof error}): ${JSON.stringify(error)}`;
-    self.postMessage({
-      status: "error",
-      data: `Model load failed: ${errorMessage}`
-    });
+      // Perform a dry run to compile shaders and warm up the model
+      reply(request, 'loading', { data: attempt.device === 'webgpu' ? "Compiling shaders and warming up model..." : "Warming up model..." });
+      const inputs = tokenizer("a");
+      await model.generate({ ...inputs, max_new_tokens: 1 });
+      console.log('Warmup complete');
+      const loaded = TextGenerationPipeline._loaded || attempt;
+      reply(request, 'ready', { model: modelId, device: loaded.device, dtype: loaded.dtype });
+      return;
+    } catch (error) {
+      console.error('Load attempt failed:', attempt, error);
+      lastError = error;
+      await disposeModel();
+      reply(request, 'load_attempt_failed', { model: modelId, data: { ...report, error: describeLoadError(error) } });
+    }
   }
+
+  reply(request, 'failed', {
+    model: modelId,
+    error: 'Model load failed: ' + describeLoadError(lastError) + (ladder.length > 1 ? ' (tried ' + ladder.length + ' configurations)' : '')
+  });
 }
 
-async function unloadModel() {
-  console.log('Unloading model resources');
+// Release the model (e.g. after a failed attempt) so the next one starts clean
+async function disposeModel() {
   try {
     if (TextGenerationPipeline?.model && typeof TextGenerationPipeline.model.dispose === 'function') {
-      TextGenerationPipeline.model.dispose();
+      await TextGenerationPipeline.model.dispose();
     }
   } catch (disposeError) {
     console.warn('Model dispose failed:', disposeError);
   }
   TextGenerationPipeline.model = null;
+  TextGenerationPipeline._loaded = null;
+}
+
+// dtype -> ONNX weights file suffix, as used by transformers.js
+const DTYPE_FILE_SUFFIX = { fp32: '', fp16: '_fp16', int8: '_int8', uint8: '_uint8', q8: '_quantized', q4: '_q4', q4f16: '_q4f16', bnb4: '_bnb4' };
+const OPTIONAL_MODEL_FILES = ['generation_config.json', 'tokenizer_config.json'];
+
+// Download URL of a model file, joined the way transformers.js joins it (so
+// the cache keys match the ones the library looks up)
+function modelFileUrl(modelId, path, source) {
+  const resolved = { ...DEFAULT_MODEL_SOURCE, ...(source || {}) };
+  const parts = [
+    resolved.remoteHost,
+    resolved.remotePathTemplate.replaceAll('{model}', modelId).replaceAll('{revision}', encodeURIComponent(resolved.revision)),
+    path,
+  ];
+  return parts.map((part, i) => {
+    let text = String(part);
+    if (i > 0) text = text.replace(/^\//, '');
+    if (i < parts.length - 1) text = text.replace(/\/$/, '');
+    return text;
+  }).join('/');
+}
+
+// Files a causal LM needs for one dtype; external data chunks are declared in
+// config.json under "transformers.js_config".use_external_data_format
+function modelFileList(config, dtype) {
+  const weights = 'model' + (DTYPE_FILE_SUFFIX[dtype] ?? '') + '.onnx';
+  const files = ['config.json', 'generation_config.json', 'tokenizer.json', 'tokenizer_config.json', 'onnx/' + weights];
+  let external = (config['transformers.js_config'] || {}).use_external_data_format;
+  if (external && typeof external === 'object') external = external[weights] ?? external.model ?? false;
+  const chunks = external === true ? 1 : (Number(external) || 0);
+  for (let i = 0; i < chunks; i++) files.push('onnx/' + weights + '_data' + (i === 0 ? '' : '_' + i));
+  return files;
+}
+
+// Resumable, verified downloads.
+// Model files are written in chunks to the Origin Private File System as
+// "<sha256(url)>.bin", with a "<sha256(url)>.json" sidecar
+// { url, model, path, size, etag, complete, sha256, verified, updatedAt }.
+// An interrupted download is retried with an HTTP Range request from the
+// bytes already on disk (also after a page reload); If-Range makes the
+// server send the whole file again if it changed upstream. Files listed in
+// the registry entry's "sha256" map are hashed once complete, and a mismatch
+// deletes the file and downloads it once more before failing.
+// Progress is reported through the caller's callback; state changes as
+// { status: 'download_state', model, file, state, data } with state
+// 'paused' | 'resumed' | 'corrupted' | 'verified'.
+const MODEL_STORE_DIR = 'model-files';
+const DOWNLOAD_MAX_FAILURES = 5;
+const DOWNLOAD_FLUSH_BYTES = 8 * 1024 * 1024;
+
+let modelStorePromise = null;
+function openModelStore() {
+  if (typeof navigator === 'undefined' || !navigator.storage || typeof navigator.storage.getDirectory !== 'function') return Promise.resolve(null);
+  modelStorePromise ??= navigator.storage.getDirectory()
+    .then((root) => root.getDirectoryHandle(MODEL_STORE_DIR, { create: true }))
+    .catch((e) => {
+      console.warn('OPFS unavailable; model files go to the browser cache:', e);
+      return null;
+    });
+  return modelStorePromise;
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function readStoreMeta(dir, name) {
+  try {
+    const file = await (await dir.getFileHandle(name + '.json')).getFile();
+    return JSON.parse(await file.text());
+  } catch (e) {
+    return null;
+  }
+}
+
+async function writeStoreMeta(dir, name, meta) {
+  const writable = await (await dir.getFileHandle(name + '.json', { create: true })).createWritable();
+  await writable.write(JSON.stringify({ ...meta, updatedAt: Date.now() }));
+  await writable.close();
+}
+
+async function removeStoreEntry(dir, name) {
+  for (const suffix of ['.bin', '.json']) {
+    try {
+      await dir.removeEntry(name + suffix);
+    } catch (e) {
+      // already gone
+    }
+  }
+}
+
+function reportDownloadState(request, model, file, state, detail) {
+  reply(request, 'download_state', { model, file, state, data: detail || '' });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Errors that retrying cannot fix (4xx responses, failed integrity checks)
+function fatalDownloadError(message) {
+  const error = new Error(message);
+  error.fatal = true;
+  return error;
+}
+
+// Stream url into "<name>.bin", resuming from its current size. Resolves once
+// the file is complete; throws on fatal errors or after repeated failures.
+async function writeToStore(dir, name, meta, onProgress, request) {
+  let failures = 0;
+  for (;;) {
+    const fileHandle = await dir.getFileHandle(name + '.bin', { create: true });
+    const access = await fileHandle.createSyncAccessHandle();
+    let offset = access.getSize();
+    const startOffset = offset;
+    try {
+      if (meta.size && offset >= meta.size) return;
+      const headers = {};
+      if (offset > 0) {
+        headers.Range = 'bytes=' + offset + '-';
+        if (meta.etag) headers['If-Range'] = meta.etag;
+      }
+      const response = await fetch(meta.url, { headers });
+      if (response.status === 404) throw Object.assign(fatalDownloadError('Not found: ' + meta.url), { notFound: true });
+      if (!response.ok) {
+        const message = 'HTTP ' + response.status + ' for ' + meta.url;
+        throw response.status >= 400 && response.status < 500 ? fatalDownloadError(message) : new Error(message);
+      }
+      if (response.status === 200 && offset > 0) {
+        // Range ignored or file changed upstream: start over
+        access.truncate(0);
+        offset = 0;
+      }
+      if (offset > 0) reportDownloadState(request, meta.model, meta.path, 'resumed', 'from byte ' + offset);
+      const length = Number(response.headers.get('Content-Length')) || 0;
+      const range = (response.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+      meta.size = range ? Number(range[1]) : (length ? offset + length : 0);
+      meta.etag = response.headers.get('ETag') || meta.etag || null;
+      await writeStoreMeta(dir, name, meta);
+
+      const reader = response.body.getReader();
+      let unflushed = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        access.write(value, { at: offset });
+        offset += value.length;
+        unflushed += value.length;
+        if (unflushed >= DOWNLOAD_FLUSH_BYTES) {
+          access.flush();
+          unflushed = 0;
+        }
+        onProgress(offset, meta.size);
+      }
+      access.flush();
+      if (meta.size && offset < meta.size) throw new Error('Connection closed after ' + offset + ' of ' + meta.size + ' bytes');
+      if (!meta.size) meta.size = offset;
+      return;
+    } catch (error) {
+      if (error.fatal) throw error;
+      failures = offset > startOffset ? 1 : failures + 1;
+      if (failures > DOWNLOAD_MAX_FAILURES) throw new Error('Download of ' + meta.path + ' failed: ' + (error?.message || error));
+      reportDownloadState(request, meta.model, meta.path, 'paused', (error?.message || String(error)) + '; retrying');
+      await delay(Math.min(1000 * 2 ** (failures - 1), 15000));
+    } finally {
+      access.close();
+    }
+  }
+}
+
+// Return the stored File for url, downloading (or finishing) it first.
+// Resolves to null when the server has no such file (optional files).
+// State changes (resumed, paused, verified, ...) are reported to `request`.
+async function downloadToStore(dir, { url, model, path, sha256, request }, onProgress) {
+  const name = await sha256Hex(url);
+  const expected = sha256 ? String(sha256).toLowerCase() : null;
+  for (let attempt = 0; ; attempt++) {
+    let meta = await readStoreMeta(dir, name);
+    if (!meta || meta.url !== url) meta = { url, model, path, size: 0, etag: null, complete: false };
+    if (!meta.complete) {
+      try {
+        await writeToStore(dir, name, meta, onProgress, request);
+      } catch (error) {
+        if (error.notFound) {
+          await removeStoreEntry(dir, name);
+          return null;
+        }
+        throw error;
+      }
+      meta.complete = true;
+    }
+    const file = await (await dir.getFileHandle(name + '.bin')).getFile();
+    if (expected && !(meta.verified && meta.sha256 === expected)) {
+      // crypto.subtle has no streaming digest, so the file is hashed in one go
+      const actual = await sha256Hex(await file.arrayBuffer());
+      if (actual !== expected) {
+        reportDownloadState(request, model, path, 'corrupted', 'expected SHA-256 ' + expected + ', got ' + actual);
+        await removeStoreEntry(dir, name);
+        if (attempt > 0) throw fatalDownloadError(path + ' failed its SHA-256 check twice');
+        continue;
+      }
+      reportDownloadState(request, model, path, 'verified', expected);
+      meta.verified = true;
+    }
+    meta.sha256 = expected || meta.sha256 || null;
+    await writeStoreMeta(dir, name, meta);
+    return file;
+  }
+}
+
+function registryHashes(modelId) {
+  const registry = TextGenerationPipeline._model_registry;
+  return (registry && registry[modelId] && registry[modelId].sha256) || {};
+}
+
+// Fetch one model file, from the browser cache if it is already there,
+// otherwise into OPFS (or, without OPFS, into the browser cache)
+async function fetchModelFile(modelId, path, source, onProgress, request) {
+  const url = modelFileUrl(modelId, path, source);
+  const cache = await openBrowserCache();
+  const cached = cache ? await cache.match(url) : null;
+  if (cached) return cached;
+  const store = await openModelStore();
+  if (store) {
+    const file = await downloadToStore(store, { url, model: modelId, path, sha256: registryHashes(modelId)[path], request }, (loaded, total) => onProgress(path, loaded, total));
+    if (!file) {
+      if (OPTIONAL_MODEL_FILES.includes(path)) return null;
+      throw new Error('Could not download ' + url + ' (HTTP 404)');
+    }
+    return new Response(file, { headers: { 'Content-Length': String(file.size) } });
+  }
+  if (!cache) throw new Error('No storage available for model files');
+  const response = await fetch(url);
+  if (!response.ok) {
+    if (OPTIONAL_MODEL_FILES.includes(path)) return null;
+    throw new Error('Could not download ' + url + ' (HTTP ' + response.status + ')');
+  }
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(path, loaded, total);
+  }
+  const stored = new Response(new Blob(chunks), { headers: response.headers });
+  await cache.put(url, stored.clone());
+  return stored;
+}
+
+// The model getInstance() is loading: { modelId, source, progress_callback, request }
+let activeModelDownload = null;
+
+// Custom-cache lookups for files of the model being loaded are answered by
+// downloading them through the store; anything else is left to the library
+async function matchActiveModelFile(key) {
+  const active = activeModelDownload;
+  if (!active || !/^https?:/.test(key) || !(await openModelStore())) return undefined;
+  const prefix = modelFileUrl(active.modelId, '', active.source);
+  if (!key.startsWith(prefix)) return undefined;
+  const path = decodeURIComponent(key.slice(prefix.length));
+  const onProgress = (file, loaded, total) => {
+    if (active.progress_callback) active.progress_callback({ status: 'progress', name: active.modelId, file, loaded, total, progress: total ? loaded / total * 100 : 0 });
+  };
+  try {
+    return (await fetchModelFile(active.modelId, path, active.source, onProgress, active.request)) || undefined;
+  } catch (error) {
+    if (error.fatal) {
+      // The library ignores errors thrown by match(), so fail the load through
+      // the response body instead of letting it fetch the file unchecked
+      return new Response(new ReadableStream({ start(controller) { controller.error(error); } }));
+    }
+    console.warn('Resumable download failed, falling back to a direct fetch:', error);
+    return undefined;
+  }
+}
+
+// "download" message: fetch a model's files without creating an inference
+// session, so it can be loaded later (also offline)
+async function downloadModel({ model_id, dtype, source }, request) {
+  try {
+    if (localModelFiles.has(model_id)) throw new Error('Local models are read from disk and cannot be downloaded');
+    // Throttled like progress_total; the last update of each file is always
+    // sent once the file is complete
+    let lastPost = 0;
+    let unsent = null;
+    const post = ({ file, loaded, total }) => {
+      lastPost = Date.now();
+      unsent = null;
+      reply(request, 'download_progress', { model: model_id, file, loaded, total, progress: total ? loaded / total * 100 : 0 });
+    };
+    const onProgress = (file, loaded, total) => {
+      unsent = { file, loaded, total };
+      if ((total > 0 && loaded >= total) || Date.now() - lastPost >= PROGRESS_INTERVAL) post(unsent);
+    };
+    const fetchFile = async (path) => {
+      const response = await fetchModelFile(model_id, path, source, onProgress, request);
+      if (unsent) post(unsent);
+      return response;
+    };
+    const configResponse = await fetchFile('config.json');
+    const config = await configResponse.clone().json();
+    const files = modelFileList(config, dtype);
+    for (const path of files.slice(1)) {
+      await fetchFile(path);
+    }
+    reply(request, 'download_done', { model: model_id, data: files });
+  } catch (error) {
+    console.error('Download failed:', error);
+    reply(request, 'failed', { model: model_id, error: error?.message || String(error) });
+  }
+}
+
+async function unloadModel() {
+  console.log('Unloading model resources');
+  await disposeModel();
   TextGenerationPipeline.tokenizer = null;
-  TextGenerationPipeline._cpuFallbackTried = false;
-  past_key_values_cache = null;
+  invalidatePastKeyValues('unload');
   stopping_criteria.reset();
 }
 
 /*
- * Message dispatcher – reacts to commands from the main thread.
- * Supported message types: "check", "load", "generate", "interrupt",
- * and "reset". Each case forwards to the appropriate helper function.
+ * Generation queue – generate requests run one at a time and never while a
+ * model is loading or unloading. Waiting jobs are ordered by `priority`
+ * (higher first, default 0), then by arrival. A job is
+ *   { request, data, priority, state: 'queued' | 'running' | 'cancelled', queuedAt, finished }
+ * where `finished` is a promise that settles when a started job ends.
+ * Every change is broadcast as a `queue_status` response without a request id.
  */
-self.addEventListener("message", async (e) => {
-  const { type, data } = e.data;
-  console.log('Received message:', type, data);
+const MAX_QUEUED_GENERATIONS = 32;
+const generationQueue = { jobs: [], running: null, blocked: 0 };
 
-  switch (type) {
+function queueStatus() {
+  const { jobs, running, blocked } = generationQueue;
+  return {
+    running: running ? { id: running.request.id, priority: running.priority, state: running.state } : null,
+    queued: jobs.map((job, index) => ({ id: job.request.id, priority: job.priority, position: index + 1, queuedAt: job.queuedAt })),
+    blocked: blocked > 0,
+  };
+}
+
+function broadcastQueueStatus() {
+  reply(null, 'queue_status', queueStatus());
+}
+
+function enqueueGeneration(request, data) {
+  const queue = generationQueue;
+  if (queue.jobs.length >= MAX_QUEUED_GENERATIONS) {
+    reply(request, 'failed', { error: 'Too many queued generations (limit ' + MAX_QUEUED_GENERATIONS + ')' });
+    return;
+  }
+  const priority = data.priority || 0;
+  const job = { request, data, priority, state: 'queued', queuedAt: Date.now() };
+  const index = queue.jobs.findIndex((other) => other.priority < priority);
+  queue.jobs.splice(index === -1 ? queue.jobs.length : index, 0, job);
+  if (queue.running || queue.blocked || queue.jobs[0] !== job) {
+    reply(request, 'queued', { position: queue.jobs.indexOf(job) + 1 });
+  }
+  broadcastQueueStatus();
+  runNextGeneration();
+}
+
+// Start the first queued job unless one is running or a load/unload is active
+function runNextGeneration() {
+  const queue = generationQueue;
+  if (queue.running || queue.blocked || !queue.jobs.length) return;
+  const job = queue.jobs.shift();
+  job.state = 'running';
+  queue.running = job;
+  broadcastQueueStatus();
+  stopping_criteria.reset();
+  job.finished = generate(job.data, job.request)
+    .catch((error) => {
+      console.error('Generation failed:', error);
+      reply(job.request, 'failed', { error: error?.message || String(error) });
+    })
+    .finally(() => {
+      queue.running = null;
+      broadcastQueueStatus();
+      runNextGeneration();
+    });
+}
+
+// Cancel a queued or running job; returns false for unknown (or finished) ids.
+// A running job stops at the next token and ends with its partial output.
+function cancelGeneration(id) {
+  const queue = generationQueue;
+  if (queue.running && queue.running.request.id === id) {
+    queue.running.state = 'cancelled';
+    stopping_criteria.interrupt();
+    broadcastQueueStatus();
+    return true;
+  }
+  const index = queue.jobs.findIndex((job) => job.request.id === id);
+  if (index === -1) return false;
+  const [job] = queue.jobs.splice(index, 1);
+  job.state = 'cancelled';
+  reply(job.request, 'cancelled', { output: '', queued: true });
+  broadcastQueueStatus();
+  return true;
+}
+
+function cancelAllGenerations() {
+  const ids = [...generationQueue.jobs, generationQueue.running].filter(Boolean).map((job) => job.request.id);
+  return ids.filter(cancelGeneration);
+}
+
+// Settles when the last model task (set_model, load or unload) has ended
+let modelTask = Promise.resolve();
+
+// Keep queued generations waiting while `task` (a set_model, load or unload)
+// runs; it starts once the running generation, if any, and the model tasks
+// that came before it have ended, so two loads never overlap
+async function blockGenerations(task) {
+  generationQueue.blocked++;
+  broadcastQueueStatus();
+  const previous = modelTask;
+  let finish;
+  modelTask = new Promise((resolve) => { finish = resolve; });
+  try {
+    await previous;
+    if (generationQueue.running) await generationQueue.running.finished;
+    return await task();
+  } finally {
+    finish();
+    generationQueue.blocked--;
+    broadcastQueueStatus();
+    runNextGeneration();
+  }
+}
+
+// Post a response to `request` ({ id, type }) in the shared protocol format
+function reply(request, status, fields) {
+  self.postMessage(WorkerProtocol.createResponse(request, status, fields));
+}
+
+// Protocol version and request types this worker understands, answered to
+// the page's "hello" so it can refuse to run against a stale worker build
+function capabilities() {
+  return {
+    protocol: WorkerProtocol.PROTOCOL_VERSION,
+    requests: Object.keys(WorkerProtocol.REQUESTS),
+    webgpu: !!navigator.gpu,
+    opfs: !!(navigator.storage && typeof navigator.storage.getDirectory === 'function'),
+  };
+}
+
+async function handleRequest(request, data) {
+  switch (request.type) {
+    case "hello":
+      reply(request, 'hello', capabilities());
+      break;
     case "check":
-      check();
+      await check(request);
       break;
     case "set_model":
-      // Support either a plain string (modelId) or an object { model_id, dtype }
-      console.log('Setting model id to', data);
-      if (typeof data === 'string') {
-        TextGenerationPipeline.model_id = data;
-        TextGenerationPipeline._preferred_dtype = null;
-      } else if (data && typeof data === 'object') {
-        TextGenerationPipeline.model_id = data.model_id || TextGenerationPipeline.model_id;
+      // { model_id, dtype, device, fallbacks, source }
+      await blockGenerations(async () => {
+        console.log('Setting model id to', data);
+        invalidatePastKeyValues('model changed');
+        await disposeModel();
+        TextGenerationPipeline.tokenizer = null;
+        TextGenerationPipeline.model_id = data.model_id;
         TextGenerationPipeline._preferred_dtype = data.dtype || null;
-      }
-      TextGenerationPipeline.tokenizer = null;
-      TextGenerationPipeline.model = null;
-      self.postMessage({ status: 'model_changed', data });
+        TextGenerationPipeline._preferred_device = data.device || null;
+        TextGenerationPipeline._fallbacks = Array.isArray(data.fallbacks) ? data.fallbacks : null;
+        TextGenerationPipeline._source = data.source || null;
+      });
+      reply(request, 'model_changed', { data });
       break;
     case "model_registry":
       // Receive centralized registry from main thread
       TextGenerationPipeline._model_registry = data;
-      self.postMessage({ status: 'registry_received' });
+      reply(request, 'registry_received');
+      break;
+    case "local_model":
+      // Register files picked from disk: { model_id, files: [{ path, file }] }
+      localModelFiles.set(data.model_id, new Map(data.files.map(({ path, file }) => [path, file])));
+      reply(request, 'local_model_ready', { model: data.model_id, data: data.files.length });
+      break;
+    case "download":
+      // Pre-download { model_id, dtype, source } without loading it
+      await downloadModel(data, request);
       break;
     case "load":
-      load();
+      await blockGenerations(() => load(request));
       break;
     case "generate":
-      stopping_criteria.reset();
-      generate(data);
+      // { messages, options, priority }; runs when its turn in the queue comes
+      enqueueGeneration(request, data);
       break;
-    case "interrupt":
-      console.log('Interrupting generation');
-      stopping_criteria.interrupt();
+    case "interrupt": {
+      // { id } cancels that job (queued or running), { all: true } every job,
+      // no data the running one
+      const running = generationQueue.running && generationQueue.running.request.id;
+      const cancelled = data && data.all ? cancelAllGenerations()
+        : [data && data.id ? data.id : running].filter((id) => id && cancelGeneration(id));
+      console.log('Interrupting generation', cancelled);
+      reply(request, 'interrupted', { cancelled });
+      break;
+    }
+    case "queue":
+      reply(request, 'queue_status', queueStatus());
       break;
     case "reset":
       console.log('Resetting state');
-      past_key_values_cache = null;
-      stopping_criteria.reset();
+      invalidatePastKeyValues('reset');
+      if (!generationQueue.running) stopping_criteria.reset();
+      reply(request, 'reset_done');
       break;
     case "unload":
       console.log('Received unload request');
-      stopping_criteria.interrupt();
-      self.postMessage({ status: "unloading" });
-      await unloadModel();
-      self.postMessage({ status: "unloaded" });
+      cancelAllGenerations();
+      reply(request, 'unloading');
+      await blockGenerations(unloadModel);
+      reply(request, 'unloaded');
       break;
   }
+}
+
+/*
+ * Message dispatcher – validates requests against the shared protocol
+ * (public/worker_protocol.js) and forwards them to handleRequest(). Invalid
+ * messages and unexpected errors end the request with a "failed" response.
+ */
+self.addEventListener("message", (e) => {
+  const invalid = WorkerProtocol.validateRequest(e.data);
+  const { id, type, data } = e.data || {};
+  const request = { id: typeof id === 'string' ? id : null, type: typeof type === 'string' ? type : null };
+  if (invalid) {
+    console.error('Rejected message:', invalid, e.data);
+    reply(request, 'failed', { error: 'Invalid request: ' + invalid });
+    return;
+  }
+  console.log('Received message:', type, data);
+  handleRequest(request, data).catch((error) => {
+    console.error('Request failed:', type, error);
+    reply(request, 'failed', { error: error?.message || String(error) });
+  });
 });
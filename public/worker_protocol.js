@@ -0,0 +1,118 @@
+(function(global){
+  // Message protocol between the page and the model worker, shared by both
+  // sides (build_lib.js puts this file in front of src/worker_core.js).
+  //   request  (page -> worker): { v, id, type, data }
+  //   response (worker -> page): { v, id, request, status, ...fields }
+  // `v` is PROTOCOL_VERSION and `id` a unique request id ("r1", "r2", ...).
+  // Every response echoes the id and type (`request`) of the request it
+  // belongs to, so the page can drop a late `update` of an interrupted
+  // generation instead of appending it to the next answer.
+  // Each request ends with exactly one terminal response: its `done` status
+  // below, `cancelled` (a generation stopped by interrupt/unload, with the
+  // partial `output`) or `failed` ({ error }).
+  // Generations wait in the worker's queue (`queued { position }` until they
+  // start); `queue_status` responses with a null id report the queue state.
+  // On startup the page sends `hello` and the worker answers with its protocol
+  // version and capabilities, so stale generated worker files are detected.
+  const PROTOCOL_VERSION = 1;
+
+  // request type -> { data: expected shape, done: terminal status }
+  const REQUESTS = {
+    hello: { data: 'object', done: 'hello' },
+    check: { data: 'none', done: 'checked' },
+    model_registry: { data: 'object', done: 'registry_received' },
+    set_model: { data: 'object', done: 'model_changed', required: ['model_id'] },
+    local_model: { data: 'object', done: 'local_model_ready', required: ['model_id', 'files'] },
+    download: { data: 'object', done: 'download_done', required: ['model_id', 'dtype'] },
+    load: { data: 'none', done: 'ready' },
+    generate: { data: 'object', done: 'complete', required: ['messages'] },
+    interrupt: { data: 'optional', done: 'interrupted' },
+    queue: { data: 'none', done: 'queue_status' },
+    reset: { data: 'none', done: 'reset_done' },
+    unload: { data: 'none', done: 'unloaded' }
+  };
+
+  // Non-terminal statuses a request may report before it ends
+  const EVENTS = [
+    'loading', 'initiate', 'progress', 'done', 'progress_total', 'load_attempt', 'load_attempt_failed',
+    'download_progress', 'download_state', 'queued', 'start', 'update', 'token_debug', 'unloading'
+  ];
+
+  const TERMINAL = ['cancelled', 'failed'];
+
+  let nextId = 1;
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function createRequest(type, data) {
+    const message = { v: PROTOCOL_VERSION, id: 'r' + nextId++, type };
+    if (data !== undefined) message.data = data;
+    return message;
+  }
+
+  function createResponse(request, status, fields) {
+    return { ...fields, v: PROTOCOL_VERSION, id: request ? request.id : null, request: request ? request.type : null, status };
+  }
+
+  function isTerminal(type, status) {
+    return TERMINAL.includes(status) || (REQUESTS[type] && REQUESTS[type].done === status);
+  }
+
+  // Error message for a malformed request, or null when it is valid
+  function validateRequest(message) {
+    if (!isPlainObject(message)) return 'message must be an object';
+    if (message.v !== PROTOCOL_VERSION) return 'unsupported protocol version ' + message.v + ' (expected ' + PROTOCOL_VERSION + ')';
+    if (typeof message.id !== 'string' || !message.id) return 'missing request id';
+    const spec = REQUESTS[message.type];
+    if (!spec) return 'unknown request type "' + message.type + '"';
+    const { data } = message;
+    if (spec.data === 'none' && data !== undefined && data !== null) return message.type + ' takes no data';
+    if (spec.data === 'object' && !isPlainObject(data)) return message.type + ' data must be an object';
+    if (spec.data === 'optional' && data !== undefined && data !== null && !isPlainObject(data)) return message.type + ' data must be an object';
+    const missing = (spec.required || []).filter((field) => data[field] === undefined || data[field] === null);
+    if (missing.length) return message.type + ' data is missing ' + missing.join(', ');
+    if (message.type === 'generate') {
+      if (!Array.isArray(data.messages) || data.messages.some((m) => !isPlainObject(m) || typeof m.role !== 'string' || typeof m.content !== 'string')) {
+        return 'generate messages must be [{ role, content }] with string values';
+      }
+      if (data.options !== undefined && !isPlainObject(data.options)) return 'generate options must be an object';
+      if (data.priority !== undefined && !Number.isFinite(data.priority)) return 'generate priority must be a number';
+    }
+    if (message.type === 'local_model' && !Array.isArray(data.files)) return 'local_model files must be an array';
+    return null;
+  }
+
+  // Error message for a malformed response, or null when it is valid
+  function validateResponse(message) {
+    if (!isPlainObject(message)) return 'message must be an object';
+    if (message.v !== PROTOCOL_VERSION) return 'unsupported protocol version ' + message.v + ' (expected ' + PROTOCOL_VERSION + ')';
+    if (message.id !== null && typeof message.id !== 'string') return 'invalid request id';
+    if (typeof message.status !== 'string') return 'missing status';
+    const known = EVENTS.includes(message.status) || TERMINAL.includes(message.status)
+      || Object.values(REQUESTS).some((spec) => spec.done === message.status);
+    if (!known) return 'unknown status "' + message.status + '"';
+    if (message.status === 'failed' && typeof message.error !== 'string') return 'failed responses need an error message';
+    return null;
+  }
+
+  const WorkerProtocol = {
+    PROTOCOL_VERSION,
+    REQUESTS,
+    EVENTS,
+    createRequest,
+    createResponse,
+    isTerminal,
+    validateRequest,
+    validateResponse
+  };
+
+  try {
+    if (typeof window !== 'undefined') window.WorkerProtocol = WorkerProtocol;
+    if (typeof self !== 'undefined') self.WorkerProtocol = WorkerProtocol;
+  } catch (e) {
+    // ignore
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof self !== 'undefined' ? self : this));